@@ -0,0 +1,95 @@
+import { useRef } from 'react';
+import { parseAzimuth, compassPoint } from '../lib/layout';
+
+const STEP = 5; // degrees per arrow key press, and the snap while dragging
+const PAGE_STEP = 45;
+const KEY_STEPS = { ArrowUp: STEP, ArrowRight: STEP, ArrowDown: -STEP, ArrowLeft: -STEP, PageUp: PAGE_STEP, PageDown: -PAGE_STEP };
+
+function polar(azimuth, radius) {
+  const radians = azimuth * (Math.PI / 180);
+  return { x: Math.sin(radians) * radius, y: -Math.cos(radians) * radius };
+}
+
+/**
+ * Dial for a photo's azimuth in Direction Control. Drag or tap to point it
+ * (snaps to 5°), or use the arrow keys (5°) and Page Up/Down (45°). "F" at
+ * the top is the front of the room; `taken` marks where the other photos
+ * point. `azimuth` is null until the photo has been placed.
+ */
+export default function CompassDial({ azimuth, taken = [], onChange }) {
+  const ref = useRef(null);
+
+  const pointAt = (e) => {
+    const box = ref.current.getBoundingClientRect();
+    const dx = e.clientX - (box.left + box.width / 2);
+    const dy = e.clientY - (box.top + box.height / 2);
+    const degrees = Math.atan2(dx, -dy) * (180 / Math.PI);
+    onChange(parseAzimuth(Math.round(degrees / STEP) * STEP));
+  };
+
+  const handlePointerDown = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    ref.current.setPointerCapture(e.pointerId);
+    pointAt(e);
+  };
+
+  const handlePointerMove = (e) => {
+    if (ref.current.hasPointerCapture(e.pointerId)) pointAt(e);
+  };
+
+  const handleKeyDown = (e) => {
+    const step = KEY_STEPS[e.key];
+    if (!step) return;
+    e.preventDefault();
+    onChange(parseAzimuth((azimuth ?? 0) + step));
+  };
+
+  const needle = azimuth === null ? null : polar(azimuth, 34);
+
+  return (
+    <div className="dial">
+      <style jsx>{`
+        .dial { display: flex; flex-direction: column; align-items: center; gap: 2px; }
+        svg { width: 64px; height: 64px; cursor: pointer; touch-action: none; border-radius: 50%; }
+        svg:focus-visible { outline: 2px solid #667eea; outline-offset: 2px; }
+        .face { fill: rgba(10,10,20,0.7); stroke: rgba(255,255,255,0.25); stroke-width: 2; }
+        .tick { stroke: rgba(255,255,255,0.35); stroke-width: 2; }
+        .tick.major { stroke: rgba(255,255,255,0.7); stroke-width: 3; }
+        .front { fill: #fff; font-size: 16px; font-weight: 700; }
+        .taken { fill: rgba(255,255,255,0.35); }
+        .needle { stroke: #667eea; stroke-width: 5; stroke-linecap: round; }
+        .tip { fill: #667eea; }
+        .unset { fill: rgba(255,255,255,0.6); font-size: 26px; }
+        .label { font-size: 0.68rem; color: #fff; text-shadow: 0 1px 3px rgba(0,0,0,0.8); white-space: nowrap; }
+      `}</style>
+      <svg ref={ref} viewBox="-50 -50 100 100" role="slider" tabIndex={0}
+        aria-label="Direction in degrees" aria-valuemin={0} aria-valuemax={359}
+        aria-valuenow={azimuth ?? undefined}
+        aria-valuetext={azimuth === null ? 'Not set' : `${azimuth}° ${compassPoint(azimuth)}`}
+        onPointerDown={handlePointerDown} onPointerMove={handlePointerMove}
+        onKeyDown={handleKeyDown} onClick={(e) => e.stopPropagation()}>
+        <circle className="face" r="46" />
+        {[45, 90, 135, 180, 225, 270, 315].map((a) => {
+          const inner = polar(a, a % 90 === 0 ? 36 : 40);
+          const outer = polar(a, 45);
+          return <line key={a} className={`tick ${a % 90 === 0 ? 'major' : ''}`} x1={inner.x} y1={inner.y} x2={outer.x} y2={outer.y} />;
+        })}
+        <text className="front" y="-31" textAnchor="middle" dominantBaseline="middle">F</text>
+        {taken.map((a, i) => {
+          const dot = polar(a, 40);
+          return <circle key={i} className="taken" cx={dot.x} cy={dot.y} r="4" />;
+        })}
+        {needle ? (
+          <>
+            <line className="needle" x1="0" y1="0" x2={needle.x} y2={needle.y} />
+            <circle className="tip" cx={needle.x} cy={needle.y} r="6" />
+          </>
+        ) : (
+          <text className="unset" textAnchor="middle" dominantBaseline="central">?</text>
+        )}
+      </svg>
+      <span className="label">{azimuth === null ? 'Set direction' : `${azimuth}° ${compassPoint(azimuth)}`}</span>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+const WIDTH = 700;
+const HEIGHT = 160;
+const GAP = 2;
+
+/**
+ * Bar chart of one metric over the analytics `daily` rows, drawn as plain
+ * SVG so the dashboard needs no charting library.
+ */
+export default function DailyChart({ daily, metric, format = String }) {
+  const max = Math.max(1, ...daily.map(day => day[metric]));
+  const barWidth = WIDTH / daily.length;
+
+  return (
+    <div className="chart">
+      <style jsx>{`
+        svg { width: 100%; height: auto; display: block; }
+        rect { fill: #667eea; }
+        rect:hover { fill: #06b6d4; }
+        .axis { display: flex; justify-content: space-between; font-size: 0.72rem; color: #4a4a5c; margin-top: 6px; }
+      `}</style>
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none" role="img">
+        {daily.map((day, i) => {
+          const height = (day[metric] / max) * HEIGHT;
+          return (
+            <rect key={day.date} x={i * barWidth + GAP / 2} y={HEIGHT - height}
+              width={Math.max(barWidth - GAP, 1)} height={Math.max(height, day[metric] ? 1 : 0)}>
+              <title>{`${day.date}: ${format(day[metric])}`}</title>
+            </rect>
+          );
+        })}
+      </svg>
+      <div className="axis">
+        <span>{daily[0]?.date}</span>
+        <span>max {format(max)}</span>
+        <span>{daily[daily.length - 1]?.date}</span>
+      </div>
+    </div>
+  );
+}
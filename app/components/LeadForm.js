@@ -0,0 +1,115 @@
+import { useState } from 'react';
+
+const KINDS = [
+  { key: 'showing', label: '📅 Request a Showing' },
+  { key: 'question', label: '💬 Ask a Question' },
+];
+
+/**
+ * Buyer contact form on the hosted tour page. Submissions land in the
+ * agent's inbox (/leads).
+ */
+export default function LeadForm({ tourId, agentName, initialKind = 'showing', onClose }) {
+  const [kind, setKind] = useState(initialKind);
+  const [form, setForm] = useState({ name: '', email: '', phone: '', preferredTime: '', message: '', website: '' });
+  const [status, setStatus] = useState(null); // { text, error } | { sent: true }
+  const [sending, setSending] = useState(false);
+
+  const field = (key) => ({ value: form[key], onChange: (e) => setForm({ ...form, [key]: e.target.value }) });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    setStatus(null);
+    try {
+      const res = await fetch('/api/leads', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...form, kind, tourId }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Could not send your message');
+      setStatus({ sent: true });
+    } catch (err) {
+      setStatus({ text: err.message, error: true });
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="overlay" onClick={onClose}>
+      <style jsx>{`
+        .overlay {
+          position: fixed; inset: 0; background: rgba(0,0,0,0.6); z-index: 10;
+          display: flex; align-items: center; justify-content: center; padding: 16px;
+        }
+        .panel {
+          width: 100%; max-width: 420px; background: #14141c; border-radius: 18px; padding: 22px;
+          border-top: 3px solid var(--brand); max-height: 100%; overflow-y: auto;
+        }
+        .kinds { display: flex; gap: 6px; margin-bottom: 16px; }
+        .kinds button {
+          flex: 1; padding: 9px 6px; border-radius: 10px; font-size: 0.8rem; cursor: pointer;
+          border: 1px solid rgba(255,255,255,0.1); background: transparent; color: #8a8aa0;
+        }
+        .kinds button.active { border-color: var(--brand); color: #e8e8ef; }
+        label { display: block; font-size: 0.78rem; color: #8a8aa0; margin: 10px 0 4px; }
+        input, textarea {
+          width: 100%; padding: 10px 12px; border-radius: 10px; font: inherit; font-size: 0.9rem;
+          border: 1px solid rgba(255,255,255,0.1); background: rgba(255,255,255,0.04); color: #e8e8ef;
+        }
+        .trap { position: absolute; left: -9999px; }
+        .actions { display: flex; gap: 8px; margin-top: 16px; }
+        .actions button {
+          flex: 1; padding: 12px; border-radius: 12px; border: none; font-size: 0.9rem; font-weight: 600; cursor: pointer;
+        }
+        .send { background: var(--brand); color: #fff; }
+        .send:disabled { opacity: 0.5; }
+        .cancel { background: transparent; color: #8a8aa0; border: 1px solid rgba(255,255,255,0.1) !important; }
+        .error { color: #ff6b8a; font-size: 0.82rem; margin-top: 10px; }
+        .sent { text-align: center; padding: 20px 0; }
+        .sent p { color: #8a8aa0; font-size: 0.9rem; margin: 8px 0 16px; }
+      `}</style>
+
+      <div className="panel" onClick={(e) => e.stopPropagation()}>
+        {status?.sent ? (
+          <div className="sent">
+            <h3>✅ Message sent</h3>
+            <p>{agentName} will get back to you soon.</p>
+            <div className="actions"><button className="cancel" onClick={onClose}>Back to the tour</button></div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="kinds">
+              {KINDS.map(k => (
+                <button key={k.key} type="button" className={kind === k.key ? 'active' : ''}
+                  onClick={() => setKind(k.key)}>{k.label}</button>
+              ))}
+            </div>
+            <label>Name</label>
+            <input type="text" required autoComplete="name" {...field('name')} />
+            <label>Email</label>
+            <input type="email" autoComplete="email" {...field('email')} />
+            <label>Phone</label>
+            <input type="tel" autoComplete="tel" {...field('phone')} />
+            {kind === 'showing' && (
+              <>
+                <label>Preferred time</label>
+                <input type="text" placeholder="e.g. Saturday morning" {...field('preferredTime')} />
+              </>
+            )}
+            <label>{kind === 'question' ? 'Your question' : 'Message (optional)'}</label>
+            <textarea rows={3} required={kind === 'question'} {...field('message')} />
+            <input className="trap" type="text" tabIndex={-1} autoComplete="off" aria-hidden="true" {...field('website')} />
+            {status?.error && <p className="error">{status.text}</p>}
+            <div className="actions">
+              <button type="button" className="cancel" onClick={onClose}>Cancel</button>
+              <button type="submit" className="send" disabled={sending}>{sending ? 'Sending...' : 'Send'}</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import Head from 'next/head';
+import Link from 'next/link';
+import useSession from './useSession';
+
+/**
+ * Page chrome shared by the secondary pages: background, header and the
+ * glass / button / input styles from the upload page.
+ */
+export default function Shell({ title, subtitle, children, requireAuth = true, wide = false }) {
+  const { user, logout } = useSession({ required: requireAuth });
+
+  return (
+    <>
+      <Head>
+        <title>{title ? `${title} — 3D Property Tours` : '3D Property Tours'}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=1" />
+      </Head>
+
+      <style jsx global>{`
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: #08080c;
+          color: #e8e8ef;
+          min-height: 100vh;
+        }
+        @keyframes shimmer { 0% { background-position: -200% 0; } 100% { background-position: 200% 0; } }
+        @keyframes fadeInUp { from { opacity: 0; transform: translateY(20px); } to { opacity: 1; transform: translateY(0); } }
+
+        .glass {
+          background: rgba(255,255,255,0.03); backdrop-filter: blur(20px);
+          border: 1px solid rgba(255,255,255,0.06); border-radius: 20px;
+          padding: 24px; margin-bottom: 16px;
+          animation: fadeInUp 0.5s ease;
+        }
+        .input-group { margin-bottom: 14px; }
+        .input-group label { display: block; color: #6b6b80; font-size: 0.82rem; margin-bottom: 6px; font-weight: 500; }
+        .input-field {
+          width: 100%; padding: 12px 16px; border-radius: 12px;
+          border: 1px solid rgba(255,255,255,0.08); background: rgba(255,255,255,0.03);
+          color: #e8e8ef; font-size: 0.95rem; outline: none; transition: border-color 0.2s;
+        }
+        .input-field:focus { border-color: rgba(102,126,234,0.5); }
+        select.input-field option { background: #1a1a2e; }
+        .btn {
+          width: 100%; padding: 16px; border-radius: 14px; border: none;
+          font-size: 1.05rem; font-weight: 600; cursor: pointer;
+          transition: all 0.2s; margin-top: 8px; display: block; text-align: center; text-decoration: none;
+        }
+        .btn:disabled { opacity: 0.4; cursor: not-allowed; }
+        .btn-primary {
+          background: linear-gradient(135deg, #667eea, #764ba2);
+          color: white; box-shadow: 0 4px 20px rgba(102,126,234,0.3);
+        }
+        .btn-ghost { background: transparent; color: #6b6b80; border: 1px solid rgba(255,255,255,0.08); }
+        .action-btn {
+          flex: 1; padding: 12px; border-radius: 12px; border: 1px solid rgba(255,255,255,0.08);
+          background: rgba(255,255,255,0.03); color: #a0a0b8; font-size: 0.85rem;
+          cursor: pointer; text-align: center; transition: all 0.2s; text-decoration: none;
+          display: flex; align-items: center; justify-content: center; gap: 6px;
+        }
+        .action-btn:hover { border-color: rgba(102,126,234,0.4); color: #e8e8ef; background: rgba(102,126,234,0.08); }
+        .action-btn:disabled { opacity: 0.4; cursor: not-allowed; }
+        .muted { color: #6b6b80; font-size: 0.85rem; }
+        .error-msg { color: #ff6b8a; font-size: 0.85rem; padding: 12px; background: rgba(255,107,138,0.08); border-radius: 12px; margin-bottom: 16px; }
+      `}</style>
+
+      <style jsx>{`
+        .container { max-width: 760px; margin: 0 auto; padding: 20px; min-height: 100vh; }
+        .container.wide { max-width: 1200px; }
+        .nav { display: flex; gap: 16px; justify-content: center; font-size: 0.82rem; padding-top: 12px; }
+        .nav :global(a) { color: #6b6b80; text-decoration: none; }
+        .nav :global(a:hover) { color: #a0a0b8; }
+        .nav button { background: none; border: none; color: #6b6b80; font-size: 0.82rem; cursor: pointer; }
+        .nav button:hover { color: #a0a0b8; }
+        .header { text-align: center; padding: 24px 0; animation: fadeInUp 0.6s ease; }
+        .header h1 {
+          font-size: 1.7rem; font-weight: 700; margin-bottom: 8px;
+          background: linear-gradient(135deg, #667eea, #764ba2, #06b6d4);
+          background-size: 200% auto;
+          -webkit-background-clip: text; -webkit-text-fill-color: transparent;
+          animation: shimmer 3s linear infinite;
+        }
+        .header p { color: #6b6b80; font-size: 0.95rem; }
+      `}</style>
+
+      <div className={`container ${wide ? 'wide' : ''}`}>
+        {user && (
+          <nav className="nav">
+            <Link href="/">📸 New Tour</Link>
+            <Link href="/properties">🏘️ Properties</Link>
+            <Link href="/leads">📥 Leads</Link>
+            <Link href="/analytics">📈 Analytics</Link>
+            <Link href="/spend">💰 Spend</Link>
+            <Link href="/profile">👤 Profile</Link>
+            <button onClick={logout}>Sign out {user.name}</button>
+          </nav>
+        )}
+        <div className="header">
+          <h1>{title || '🏠 3D Property Tours'}</h1>
+          {subtitle && <p>{subtitle}</p>}
+        </div>
+        {children}
+      </div>
+    </>
+  );
+}
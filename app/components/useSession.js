@@ -0,0 +1,28 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+
+/**
+ * Current agent from /api/auth/me. Redirects to /login when signed out,
+ * unless `required` is false.
+ */
+export default function useSession({ required = true } = {}) {
+  const router = useRouter();
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(res => res.ok ? res.json() : null)
+      .then(data => {
+        if (data) return setUser(data.user);
+        if (required) router.replace(`/login?next=${encodeURIComponent(router.asPath)}`);
+      })
+      .catch(e => console.error('Failed to load session', e));
+  }, []);
+
+  const logout = async () => {
+    await fetch('/api/auth/logout', { method: 'POST' });
+    router.replace('/login');
+  };
+
+  return { user, logout };
+}
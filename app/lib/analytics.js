@@ -0,0 +1,141 @@
+/**
+ * Tour analytics
+ *
+ * Hosted tour pages report views, embed loads, share clicks and time on page.
+ * The endpoint is public, so reports are not stored one by one: each is
+ * added to a daily counter row per tour, and repeats are throttled per
+ * visitor and per client address before they reach the store. Summaries
+ * (totals, unique visitors and daily series) are added up from those rows
+ * when the dashboard asks. Visitors are identified by a random ID kept in the
+ * browser's localStorage; no cookies or IP addresses are stored.
+ */
+
+const { createCollection } = require('./store');
+const { getTour } = require('./tours');
+const { createRateLimiter } = require('./rateLimit');
+
+const stats = createCollection('tour-stats');
+
+const EVENT_TYPES = ['view', 'embed', 'share', 'time'];
+// Time-on-page reports above this are tabs left open, not viewing
+const MAX_SECONDS = 4 * 60 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_VISITOR_ID_LENGTH = 64;
+// Visitor IDs kept per tour and day for unique counts; more are only counted
+const MAX_VISITORS_PER_DAY = 5000;
+// A repeat of the same report from the same visitor within this window is dropped
+const REPEAT_WINDOW_MS = { view: 30 * 60 * 1000, embed: 30 * 60 * 1000, share: 10 * 1000, time: 5 * 1000 };
+// Reports accepted per client address per minute, whatever visitor ID they claim
+const MAX_REPORTS_PER_MINUTE = 120;
+const SWEEP_SIZE = 10000;
+
+const lastReports = new Map(); // `${visitor}:${tourId}:${type}` → time
+// False once an address has used up its reports for the current minute
+const withinAddressLimit = createRateLimiter({ limit: MAX_REPORTS_PER_MINUTE, windowMs: 60 * 1000 });
+
+function sweep(map, isExpired) {
+  if (map.size < SWEEP_SIZE) return;
+  for (const [key, value] of map) {
+    if (isExpired(value)) map.delete(key);
+  }
+}
+
+// False for a repeat of the same report inside its REPEAT_WINDOW_MS
+function isFirstReport(key, type, now) {
+  sweep(lastReports, time => now - time >= REPEAT_WINDOW_MS.view);
+  const last = lastReports.get(key);
+  if (last !== undefined && now - last < REPEAT_WINDOW_MS[type]) return false;
+  lastReports.set(key, now);
+  return true;
+}
+
+/**
+ * Add one report to its tour's counters for today.
+ * @param {{ tourId: string, type: string, visitorId?: string, seconds?: number, address?: string }} fields
+ *   `address` is the client's network address, used for throttling only
+ * @returns {{ recorded?: boolean, error?: string, limited?: boolean }}
+ *   recorded is false for a dropped repeat; limited when the address is over its limit
+ */
+function recordEvent({ tourId, type, visitorId, seconds, address = '' }) {
+  const now = Date.now();
+  if (!withinAddressLimit(address, now)) return { limited: true, error: 'Too many reports' };
+
+  const tour = getTour(tourId);
+  if (!tour) return { error: 'Tour not found' };
+  if (!EVENT_TYPES.includes(type)) return { error: `type must be one of ${EVENT_TYPES.join(', ')}` };
+  if (type === 'time' && !(seconds > 0)) return { error: 'seconds must be a positive number' };
+
+  const visitor = String(visitorId || '').slice(0, MAX_VISITOR_ID_LENGTH);
+  if (!isFirstReport(`${visitor || address}:${tour.id}:${type}`, type, now)) return { recorded: false };
+
+  const date = new Date(now).toISOString().slice(0, 10);
+  const row = stats.list(r => r.tourId === tour.id && r.date === date)[0]
+    || stats.insert({ tourId: tour.id, ownerId: tour.ownerId || null, date, views: 0, embedLoads: 0, shares: 0, seconds: 0, visitors: [], extraVisitors: 0 });
+
+  const patch = {};
+  if (type === 'view') patch.views = row.views + 1;
+  if (type === 'embed') patch.embedLoads = row.embedLoads + 1;
+  if (type === 'share') patch.shares = row.shares + 1;
+  if (type === 'time') patch.seconds = row.seconds + Math.min(Math.round(seconds), MAX_SECONDS);
+  if ((type === 'view' || type === 'embed') && visitor && !row.visitors.includes(visitor)) {
+    if (row.visitors.length < MAX_VISITORS_PER_DAY) patch.visitors = [...row.visitors, visitor];
+    else patch.extraVisitors = row.extraVisitors + 1;
+  }
+  stats.update(row.id, patch);
+  return { recorded: true };
+}
+
+function emptyCounts() {
+  return { views: 0, embedLoads: 0, shares: 0, visitors: new Set(), extraVisitors: 0, seconds: 0 };
+}
+
+function addRow(counts, row) {
+  counts.views += row.views;
+  counts.embedLoads += row.embedLoads;
+  counts.shares += row.shares;
+  counts.seconds += row.seconds;
+  counts.extraVisitors += row.extraVisitors;
+  for (const visitor of row.visitors) counts.visitors.add(visitor);
+}
+
+// Time is reported in visible stretches, so the average is per view, not per report
+function finishCounts({ visitors, extraVisitors, seconds, ...counts }) {
+  const loads = counts.views + counts.embedLoads;
+  return { ...counts, uniqueVisitors: visitors.size + extraVisitors, avgSeconds: loads ? Math.round(seconds / loads) : 0 };
+}
+
+/**
+ * All-time totals (overall and per tour) and one row per day for the last
+ * `days` days (UTC, oldest first), for the counter rows matching `filter`.
+ * @param {(row: { tourId: string, ownerId: string | null, date: string }) => boolean} filter
+ * @param {{ days?: number }} [options]
+ */
+function analyticsSummary(filter, { days = 30 } = {}) {
+  const firstDay = new Date(Date.now() - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+  const matching = stats.list(filter);
+
+  const totals = emptyCounts();
+  const byDay = new Map();
+  for (let i = 0; i < days; i++) {
+    byDay.set(new Date(Date.parse(firstDay) + i * DAY_MS).toISOString().slice(0, 10), emptyCounts());
+  }
+  const byTour = new Map();
+
+  for (const row of matching) {
+    addRow(totals, row);
+    const day = byDay.get(row.date);
+    if (day) addRow(day, row);
+    if (!byTour.has(row.tourId)) byTour.set(row.tourId, emptyCounts());
+    addRow(byTour.get(row.tourId), row);
+  }
+
+  return {
+    totals: finishCounts(totals),
+    daily: [...byDay].map(([date, counts]) => ({ date, ...finishCounts(counts) })),
+    byTour: [...byTour]
+      .map(([tourId, counts]) => ({ tourId, ...finishCounts(counts) }))
+      .sort((a, b) => (b.views + b.embedLoads) - (a.views + a.embedLoads)),
+  };
+}
+
+module.exports = { EVENT_TYPES, recordEvent, analyticsSummary };
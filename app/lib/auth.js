@@ -0,0 +1,188 @@
+/**
+ * Agent accounts and sessions
+ *
+ * Email + password accounts in the local store, with opaque session tokens in
+ * an HttpOnly cookie (only a hash of the token is stored). Signup is open
+ * until the first account exists; after that set ALLOW_SIGNUP=true to let
+ * more agents register themselves.
+ */
+
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+
+const users = createCollection('users');
+const sessions = createCollection('sessions');
+
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+// Branding shown to buyers on hosted tour pages
+const PROFILE_FIELDS = ['name', 'phone', 'brokerage', 'logoUrl', 'brandColor'];
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = stored.split(':');
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/** The fields safe to send to the browser. */
+function publicUser(user) {
+  return { id: user.id, email: user.email, ...agentProfile(user) };
+}
+
+/** What buyers see of the agent on a hosted tour page. */
+function agentProfile(user) {
+  return {
+    name: user.name,
+    email: user.email,
+    phone: user.phone || '',
+    brokerage: user.brokerage || '',
+    logoUrl: user.logoUrl || '',
+    brandColor: user.brandColor || '',
+  };
+}
+
+/**
+ * Update the agent's name and branding; returns an error message instead when
+ * a field is not acceptable.
+ * @returns {{ user?: object, error?: string }}
+ */
+function updateProfile(userId, fields) {
+  const patch = {};
+  for (const key of PROFILE_FIELDS) {
+    if (fields[key] !== undefined) patch[key] = String(fields[key]).trim();
+  }
+  if (patch.name === '') return { error: 'name cannot be empty' };
+  if (patch.logoUrl && !/^https?:\/\//.test(patch.logoUrl)) return { error: 'logoUrl must be an http(s) URL' };
+  if (patch.brandColor && !/^#[0-9a-f]{6}$/i.test(patch.brandColor)) return { error: 'brandColor must look like #667eea' };
+  return { user: users.update(userId, patch) };
+}
+
+function getUser(id) {
+  return users.get(id);
+}
+
+function signupAllowed() {
+  return process.env.ALLOW_SIGNUP === 'true' || users.list().length === 0;
+}
+
+function findUserByEmail(email) {
+  const normalized = normalizeEmail(email);
+  return users.list(u => u.email === normalized)[0] || null;
+}
+
+/**
+ * What is wrong with a signup's email and password, or null. Request bodies
+ * are JSON, so anything that is not a string is refused here.
+ * @returns {string|null}
+ */
+function signupError({ email, password }) {
+  if (typeof email !== 'string' || !email.includes('@')) return 'Valid email required';
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function createUser({ email, password, name }) {
+  return users.insert({
+    email: normalizeEmail(email),
+    name: (typeof name === 'string' && name.trim()) || normalizeEmail(email).split('@')[0],
+    passwordHash: hashPassword(password),
+  });
+}
+
+/** @returns {object|null} the user if the credentials match */
+function authenticate(email, password) {
+  if (typeof email !== 'string' || typeof password !== 'string') return null;
+  const user = findUserByEmail(email);
+  if (!user || !verifyPassword(password, user.passwordHash)) return null;
+  return user;
+}
+
+/** @returns {string} the raw token for the session cookie */
+function createSession(userId) {
+  const now = Date.now();
+  for (const expired of sessions.list(s => Date.parse(s.expiresAt) < now)) {
+    sessions.remove(expired.id);
+  }
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.insert({ userId, tokenHash: hashToken(token), expiresAt: new Date(now + SESSION_TTL_MS).toISOString() });
+  return token;
+}
+
+function findSession(req) {
+  const token = req.cookies?.[SESSION_COOKIE];
+  if (!token) return null;
+  const tokenHash = hashToken(token);
+  const session = sessions.list(s => s.tokenHash === tokenHash)[0];
+  if (!session || Date.parse(session.expiresAt) < Date.now()) return null;
+  return session;
+}
+
+function getSessionUser(req) {
+  const session = findSession(req);
+  return session ? users.get(session.userId) : null;
+}
+
+function destroySession(req) {
+  const session = findSession(req);
+  if (session) sessions.remove(session.id);
+}
+
+function sessionCookie(token) {
+  const maxAge = token ? SESSION_TTL_MS / 1000 : 0;
+  const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${token || ''}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+/**
+ * Wrap an API route so it only runs for a signed-in agent, available as req.user.
+ */
+function withAuth(handler) {
+  return async (req, res) => {
+    const user = getSessionUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Sign in required' });
+    }
+    req.user = user;
+    return handler(req, res);
+  };
+}
+
+/** Whether the record belongs to this agent. */
+function owns(user, record) {
+  return Boolean(record) && record.ownerId === user.id;
+}
+
+module.exports = {
+  publicUser,
+  agentProfile,
+  updateProfile,
+  getUser,
+  signupAllowed,
+  signupError,
+  findUserByEmail,
+  createUser,
+  authenticate,
+  createSession,
+  getSessionUser,
+  destroySession,
+  sessionCookie,
+  withAuth,
+  owns,
+};
@@ -0,0 +1,85 @@
+/**
+ * Browser client for the chunked upload API (/api/uploads).
+ *
+ * Files are sent one chunk at a time. A failed chunk is retried with backoff
+ * from whatever offset the server reports, and the upload ID of a picked file
+ * is remembered in localStorage so choosing the same file again after a
+ * reload continues the upload instead of starting over.
+ */
+
+const MAX_CHUNK_FAILURES = 5;
+
+function resumeKey(file, name) {
+  // Only Files have a stable identity; plain Blobs always start fresh
+  return file.lastModified ? `upload:${name}:${file.size}:${file.lastModified}` : null;
+}
+
+async function readJson(response) {
+  const text = await response.text();
+  try { return JSON.parse(text); } catch {
+    throw new Error(`Server error (${response.status}): ${text.substring(0, 200)}`);
+  }
+}
+
+async function startUpload(file, name, type, key) {
+  const savedId = key && localStorage.getItem(key);
+  if (savedId) {
+    const response = await fetch(`/api/uploads/${savedId}`);
+    if (response.ok) return readJson(response);
+    localStorage.removeItem(key);
+  }
+
+  const response = await fetch('/api/uploads', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileName: name, mimeType: type, size: file.size }),
+  });
+  const upload = await readJson(response);
+  if (!response.ok) throw new Error(upload.error || 'Upload failed');
+  if (key) localStorage.setItem(key, upload.id);
+  return upload;
+}
+
+/**
+ * Upload a File or Blob and return its upload ID.
+ * @param {Blob} file
+ * @param {{ name?: string, type?: string, onProgress?: (receivedBytes: number) => void }} [options]
+ * @returns {Promise<string>}
+ */
+async function uploadFile(file, { name = file.name, type = file.type, onProgress = () => {} } = {}) {
+  const key = resumeKey(file, name);
+  const upload = await startUpload(file, name, type, key);
+  let received = upload.received;
+  let failures = 0;
+  onProgress(received);
+
+  while (received < file.size) {
+    try {
+      const end = Math.min(received + upload.chunkSize, file.size);
+      const response = await fetch(`/api/uploads/${upload.id}`, {
+        method: 'PUT',
+        headers: { 'Upload-Offset': String(received), 'Content-Type': 'application/octet-stream' },
+        body: file.slice(received, end),
+      });
+      const data = await readJson(response);
+      // 409: the server is at a different offset, continue from there
+      if (!response.ok && response.status !== 409) {
+        throw Object.assign(new Error(data.error || 'Upload failed'), { retryable: response.status >= 500 });
+      }
+      received = data.received;
+      failures = 0;
+      onProgress(received);
+    } catch (error) {
+      if (error.retryable === false || ++failures > MAX_CHUNK_FAILURES) throw error;
+      await new Promise(r => setTimeout(r, 1000 * 2 ** failures));
+      // Re-sync with what actually reached the server
+      const response = await fetch(`/api/uploads/${upload.id}`).catch(() => null);
+      if (response?.ok) received = (await readJson(response)).received;
+    }
+  }
+
+  if (key) localStorage.removeItem(key);
+  return upload.id;
+}
+
+module.exports = { uploadFile };
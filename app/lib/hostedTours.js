@@ -0,0 +1,41 @@
+/**
+ * Hosted tour pages
+ *
+ * What a buyer sees of a tour on /tour/:id — no session is needed, so only
+ * display fields leave this module (no inputs, spend or account details
+ * beyond the agent's public profile).
+ */
+
+const { getTour } = require('./tours');
+const { getProperty } = require('./properties');
+const { getUser, agentProfile } = require('./auth');
+const { thumbnailUrlForWorld } = require('./worldlabs');
+const { listingFor } = require('./listings');
+
+/**
+ * @returns {{ tour: object, property: object|null, roomName: string|null, agent: object|null, listing: object }|null}
+ */
+function hostedTour(id) {
+  const tour = getTour(id);
+  if (!tour) return null;
+
+  const property = tour.propertyId ? getProperty(tour.propertyId) : null;
+  const room = property?.rooms.find(r => r.tourId === tour.id);
+  const owner = tour.ownerId ? getUser(tour.ownerId) : null;
+
+  return {
+    tour: {
+      id: tour.id,
+      name: tour.name,
+      viewUrl: tour.viewUrl,
+      thumbnailUrl: thumbnailUrlForWorld(tour.world),
+      createdAt: tour.createdAt,
+    },
+    property: property ? { id: property.id, address: property.address } : null,
+    roomName: room?.name || null,
+    agent: owner ? agentProfile(owner) : null,
+    listing: listingFor(tour),
+  };
+}
+
+module.exports = { hostedTour };
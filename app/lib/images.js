@@ -0,0 +1,103 @@
+/**
+ * Image pipeline
+ *
+ * Every photo from the upload page or the CLI goes through prepareImage()
+ * before it is sent to World Labs: HEIC, PNG and WebP are converted to JPEG,
+ * EXIF orientation is applied to the pixels, the long edge is scaled to what
+ * the model uses, and all metadata (including GPS location) is dropped.
+ * Panoramas take the same path through lib/panorama.js, which also checks
+ * and fixes their projection.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { MODELS } = require('./worldlabs');
+
+// Long edge in pixels per model; anything larger only slows the upload
+const MAX_EDGE = { [MODELS.standard]: 2048, [MODELS.draft]: 1024 };
+const JPEG_QUALITY = 88;
+
+// ISO-BMFF brands used by iPhone HEIC/HEIF photos (sharp cannot decode HEVC)
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+
+function isHeic(buffer) {
+  return buffer.toString('ascii', 4, 8) === 'ftyp' && HEIF_BRANDS.has(buffer.toString('ascii', 8, 12));
+}
+
+/**
+ * Bytes sharp can decode: files are read and HEIC is converted to JPEG.
+ * @param {Buffer | string} input Image bytes or a file path
+ * @returns {Promise<Buffer>}
+ */
+async function readImageSource(input) {
+  const source = typeof input === 'string' ? await fs.promises.readFile(input) : input;
+  if (isHeic(source)) {
+    return Buffer.from(await heicConvert({ buffer: source, format: 'JPEG', quality: 1 }));
+  }
+  return source;
+}
+
+/**
+ * Finish a sharp pipeline as the JPEG we send. sharp writes no metadata to
+ * the output unless asked to.
+ * @returns {Promise<{ data: Buffer, mimeType: string, width: number, height: number, hash: string }>}
+ */
+async function encodeJpeg(pipeline) {
+  const { data, info } = await pipeline
+    .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    data,
+    mimeType: 'image/jpeg',
+    width: info.width,
+    height: info.height,
+    hash: crypto.createHash('sha256').update(data).digest('hex'),
+  };
+}
+
+/**
+ * @param {Buffer | string} input Image bytes or a file path
+ * @param {{ model?: string }} [options]
+ * @returns {Promise<{ data: Buffer, mimeType: string, width: number, height: number, hash: string }>}
+ */
+async function prepareImage(input, { model = MODELS.standard } = {}) {
+  const source = await readImageSource(input);
+  const maxEdge = MAX_EDGE[model] || MAX_EDGE[MODELS.standard];
+  // rotate() without an angle applies the EXIF orientation
+  return encodeJpeg(sharp(source)
+    .rotate()
+    .resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true }));
+}
+
+/** `photo.heic` → `photo.jpg`, matching the converted output. */
+function jpegFileName(fileName) {
+  return fileName.replace(/\.[^./]+$/, '') + '.jpg';
+}
+
+/**
+ * Split items into the first of each identical shot and the repeats.
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => string} keyOf
+ * @returns {{ unique: T[], duplicates: T[] }}
+ */
+function dedupe(items, keyOf) {
+  const seen = new Set();
+  const unique = [];
+  const duplicates = [];
+  for (const item of items) {
+    const key = keyOf(item);
+    if (seen.has(key)) {
+      duplicates.push(item);
+    } else {
+      seen.add(key);
+      unique.push(item);
+    }
+  }
+  return { unique, duplicates };
+}
+
+module.exports = { readImageSource, encodeJpeg, prepareImage, jpegFileName, dedupe };
@@ -0,0 +1,195 @@
+/**
+ * Generation jobs
+ *
+ * /api/generate records a job per World Labs operation and a background
+ * worker polls it to completion, fetches the world and saves the tour. The
+ * browser only reads job state, so closing the tab no longer orphans the
+ * operation.
+ */
+
+const { EventEmitter } = require('events');
+const { createCollection } = require('./store');
+const { createTour } = require('./tours');
+const { attachJobTour } = require('./properties');
+const { attachVariantTour } = require('./variants');
+const { attachSpendToTour } = require('./ledger');
+const { createClient, isRetryable, worldIdFromOperation, viewUrlForWorld } = require('./worldlabs');
+
+const jobs = createCollection('jobs');
+const client = createClient({
+  onRetry: ({ error, attempt, path }) => console.warn(`World Labs ${path} retry ${attempt}: ${error.message}`),
+});
+
+const POLL_INTERVAL_MS = 5000;
+const ACTIVE = ['pending', 'running'];
+
+// API routes are bundled separately, so keep one worker per server process
+const worker = globalThis.__tourJobWorker || (globalThis.__tourJobWorker = {
+  timer: null,
+  inFlight: new Set(),
+  events: new EventEmitter().setMaxListeners(0),
+});
+
+function isActive(job) {
+  return ACTIVE.includes(job.status);
+}
+
+function getJob(id) {
+  return jobs.get(id);
+}
+
+function findJobByOperation(operationId) {
+  return jobs.list(j => j.operationId === operationId)[0] || null;
+}
+
+/** Human-readable phase for the processing screen, based on real job state. */
+function phaseFor(job) {
+  if (job.status === 'pending') return 'Submitted, waiting to start...';
+  if (job.status === 'succeeded') return 'Done';
+  if (job.status === 'failed') return 'Failed';
+  if (job.progress < 25) return 'Analyzing geometry...';
+  if (job.progress < 60) return 'Building 3D mesh...';
+  if (job.progress < 90) return 'Rendering world...';
+  return 'Almost there...';
+}
+
+function saveJob(id, patch) {
+  const job = jobs.update(id, patch);
+  if (job) worker.events.emit('update', job);
+  return job;
+}
+
+/**
+ * Call `listener` with every saved change to the given job.
+ * @returns {() => void} unsubscribe
+ */
+function subscribeToJob(id, listener) {
+  const onUpdate = (job) => { if (job.id === id) listener(job); };
+  worker.events.on('update', onUpdate);
+  return () => worker.events.off('update', onUpdate);
+}
+
+/**
+ * @param {{ operationId: string, name: string, inputType: string, model: string, inputs?: object[], propertyId?: string, ownerId?: string, variantGroupId?: string, variantLabel?: string }} fields
+ */
+function createJob(fields) {
+  const job = jobs.insert({ ...fields, status: 'pending', progress: 0, error: null });
+  startWorker();
+  return job;
+}
+
+async function completeJob(job, operation) {
+  if (operation.error) {
+    return saveJob(job.id, {
+      status: 'failed',
+      error: operation.error.message || JSON.stringify(operation.error),
+    });
+  }
+
+  const worldId = worldIdFromOperation(operation);
+  let world = null;
+  try {
+    world = await client.getWorld(worldId);
+  } catch (e) {
+    console.error(`Job ${job.id}: failed to fetch world ${worldId}`, e);
+  }
+
+  const tour = createTour({
+    name: job.name,
+    worldId,
+    viewUrl: viewUrlForWorld(worldId, world),
+    inputType: job.inputType,
+    model: job.model,
+    operationId: job.operationId,
+    inputs: job.inputs,
+    world,
+    propertyId: job.propertyId,
+    ownerId: job.ownerId,
+    variantGroupId: job.variantGroupId,
+    variantLabel: job.variantLabel,
+  });
+  if (job.propertyId) {
+    attachJobTour(job.propertyId, job.id, tour.id);
+  }
+  if (job.variantGroupId) {
+    attachVariantTour(job.variantGroupId, job.id, tour.id);
+  }
+  attachSpendToTour(job.operationId, tour.id);
+
+  return saveJob(job.id, {
+    status: 'succeeded',
+    progress: 100,
+    worldId,
+    tourId: tour.id,
+  });
+}
+
+/** Poll World Labs once for this job and record the result. */
+async function refreshJob(job) {
+  if (!isActive(job) || worker.inFlight.has(job.id)) return job;
+  worker.inFlight.add(job.id);
+  try {
+    const operation = await client.getOperation(job.operationId);
+    if (operation.done) {
+      return await completeJob(job, operation);
+    }
+    return saveJob(job.id, {
+      status: 'running',
+      progress: operation.metadata?.progress_pct ?? job.progress,
+    });
+  } catch (e) {
+    console.error(`Job ${job.id}: poll failed`, e);
+    if (!isRetryable(e)) {
+      return saveJob(job.id, { status: 'failed', error: e.message });
+    }
+    // Transient: leave the job active and let the next tick try again
+    return saveJob(job.id, { lastPollError: e.message });
+  } finally {
+    worker.inFlight.delete(job.id);
+  }
+}
+
+/**
+ * Fallback for hosts where the background worker cannot stay alive: poll on
+ * read if the worker has not touched the job for a full interval.
+ */
+async function refreshIfStale(job) {
+  if (isActive(job) && Date.now() - Date.parse(job.updatedAt) > POLL_INTERVAL_MS) {
+    return refreshJob(job);
+  }
+  return job;
+}
+
+async function tick() {
+  const active = jobs.list(isActive);
+  if (active.length === 0) {
+    clearInterval(worker.timer);
+    worker.timer = null;
+    return;
+  }
+  await Promise.all(active.map(refreshJob));
+}
+
+/** Start polling active jobs if the worker is not already running. */
+function startWorker() {
+  if (worker.timer) return;
+  worker.timer = setInterval(() => {
+    tick().catch(e => console.error('Job worker error:', e));
+  }, POLL_INTERVAL_MS);
+  worker.timer.unref?.();
+}
+
+// Resume jobs left active by a previous server process
+startWorker();
+
+module.exports = {
+  getJob,
+  findJobByOperation,
+  phaseFor,
+  subscribeToJob,
+  createJob,
+  refreshJob,
+  refreshIfStale,
+  startWorker,
+  isActive,
+};
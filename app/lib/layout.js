@@ -0,0 +1,125 @@
+/**
+ * Multi-image layout
+ *
+ * A world made from several photos is laid out in one of two ways: auto
+ * layout lets World Labs position the photos, direction control places each
+ * photo at an azimuth — degrees clockwise from the "front" of the room,
+ * 0-359. The upload page's compass dial, /api/generate and the CLI's
+ * `--layout` and `photo.jpg@135` syntax all go through here so the same
+ * photos are checked and placed the same way. No Node dependencies, so the
+ * upload page can import it too.
+ */
+
+// Direction Control takes 8 like Auto Layout: the free-angle dial was built
+// for corner rooms shot at 45° steps, which the older limit of 4 cut off
+const MAX_IMAGES = { auto: 8, direction: 8 };
+const LAYOUT_NAMES = { auto: 'Auto Layout', direction: 'Direction Control' };
+// The fixed directions offered before free angles; still accepted from API clients
+const DIRECTION_AZIMUTHS = { front: 0, right: 90, back: 180, left: 270 };
+const COMPASS_POINTS = ['Front', 'Front-right', 'Right', 'Back-right', 'Back', 'Back-left', 'Left', 'Front-left'];
+
+/**
+ * Whole degrees in 0-359, or null when `value` is not a number.
+ * @param {number | string} value e.g. 135, "-45", "400"
+ */
+function parseAzimuth(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const degrees = Number(value);
+  if (!Number.isFinite(degrees)) return null;
+  return ((Math.round(degrees) % 360) + 360) % 360;
+}
+
+/**
+ * Azimuth of an image reference from the upload page or an API client:
+ * `azimuth` in degrees, or one of the old `direction` names.
+ * @param {{ azimuth?: number, direction?: string }} image
+ * @returns {number | null}
+ */
+function imageAzimuth({ azimuth, direction } = {}) {
+  if (azimuth !== undefined && azimuth !== null) return parseAzimuth(azimuth);
+  return DIRECTION_AZIMUTHS[direction] ?? null;
+}
+
+/** Nearest of the eight compass points, e.g. 135 → "Back-right". */
+function compassPoint(azimuth) {
+  return COMPASS_POINTS[Math.round(azimuth / 45) % COMPASS_POINTS.length];
+}
+
+/**
+ * Split a CLI image argument into its path and azimuth: "photo.jpg@135"
+ * → { path: "photo.jpg", azimuth: 135 }. Without a suffix the azimuth is null.
+ * @param {string} arg
+ * @returns {{ path: string, azimuth: number | null }}
+ */
+function splitAzimuth(arg) {
+  const match = arg.match(/^(.+)@(-?\d+(?:\.\d+)?)$/);
+  return match ? { path: match[1], azimuth: parseAzimuth(match[2]) } : { path: arg, azimuth: null };
+}
+
+/**
+ * What is wrong with a multi-photo set for `layoutMode`, or null. The one
+ * rule set behind the upload page's limits, /api/generate, /api/preflight
+ * and the CLI: at most MAX_IMAGES photos, and with Direction Control an
+ * angle for every photo (a single photo needs none).
+ * @param {string} layoutMode 'auto' | 'direction'
+ * @param {{ azimuth?: number | string | null, direction?: string }[]} images
+ * @returns {string | null}
+ */
+function layoutError(layoutMode, images) {
+  const max = MAX_IMAGES[layoutMode];
+  if (!max) return 'layout must be auto or direction';
+  if (images.length > max) return `${LAYOUT_NAMES[layoutMode]} takes up to ${max} photos`;
+  if (layoutMode === 'direction' && images.length > 1 && images.some(image => imageAzimuth(image) === null)) {
+    return `${LAYOUT_NAMES.direction} needs an angle (0-359°) for every photo`;
+  }
+  return null;
+}
+
+/**
+ * Layout for a multi-photo set whose layout may be unset: Direction Control
+ * when any photo has an angle, Auto Layout otherwise. Angles with an explicit
+ * Auto Layout are refused rather than dropped.
+ * @param {string | undefined} layoutMode 'auto' | 'direction'
+ * @param {{ azimuth?: number | string | null, direction?: string }[]} images
+ * @returns {{ layoutMode: string } | { error: string }}
+ */
+function resolveLayout(layoutMode, images) {
+  const angled = images.some(image => imageAzimuth(image) !== null);
+  const mode = layoutMode || (angled ? 'direction' : 'auto');
+  if (mode === 'auto' && angled) {
+    return { error: `Photo angles only apply to ${LAYOUT_NAMES.direction} (layout "direction")` };
+  }
+  const error = layoutError(mode, images);
+  return error ? { error } : { layoutMode: mode };
+}
+
+/**
+ * Paths, layout and azimuths of a photo set from the CLI or a manifest
+ * ("photo.jpg@135" arguments), resolved as by resolveLayout.
+ * @param {string[]} args
+ * @param {string} [layoutMode]
+ * @returns {{ paths: string[], layoutMode: string, azimuths: number[] | null } | { error: string }}
+ */
+function parseImageArgs(args, layoutMode) {
+  const images = args.map(splitAzimuth);
+  const resolved = resolveLayout(layoutMode, images);
+  if (resolved.error) return resolved;
+  return {
+    paths: images.map(image => image.path),
+    layoutMode: resolved.layoutMode,
+    azimuths: resolved.layoutMode === 'direction' ? images.map(image => image.azimuth) : null,
+  };
+}
+
+module.exports = {
+  MAX_IMAGES,
+  LAYOUT_NAMES,
+  DIRECTION_AZIMUTHS,
+  parseAzimuth,
+  imageAzimuth,
+  compassPoint,
+  splitAzimuth,
+  layoutError,
+  resolveLayout,
+  parseImageArgs,
+};
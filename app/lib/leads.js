@@ -0,0 +1,100 @@
+/**
+ * Leads
+ *
+ * Showing requests and questions sent by buyers from a hosted tour page.
+ * Each lead belongs to the agent who owns the tour and shows up in their
+ * inbox at /leads. The form is public, so each client address may only send
+ * a few leads in a row.
+ */
+
+const { createCollection } = require('./store');
+const { getTour } = require('./tours');
+const { createRateLimiter } = require('./rateLimit');
+
+const leads = createCollection('leads');
+
+const LEAD_KINDS = ['showing', 'question'];
+const LEAD_STATUSES = ['new', 'contacted', 'closed'];
+const MAX_MESSAGE_LENGTH = 2000;
+// Submissions accepted per client address in LEAD_WINDOW_MS, counting ones with
+// mistakes; a buyer sends one or two leads
+const MAX_LEADS_PER_WINDOW = 10;
+const LEAD_WINDOW_MS = 10 * 60 * 1000;
+
+const withinAddressLimit = createRateLimiter({ limit: MAX_LEADS_PER_WINDOW, windowMs: LEAD_WINDOW_MS });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function clean(value, maxLength = 200) {
+  return String(value || '').trim().slice(0, maxLength);
+}
+
+/**
+ * Validate and store a buyer's submission; returns an error message instead
+ * when it is not acceptable.
+ * @param {{ tourId: string, kind: string, name: string, email?: string, phone?: string, message?: string, preferredTime?: string, address?: string }} fields
+ *   `address` is the client's network address, used for throttling only
+ * @returns {{ lead?: object, error?: string, limited?: boolean }}
+ *   limited when the address has sent too many leads lately
+ */
+function createLead({ tourId, kind, name, email, phone, message, preferredTime, address = '' }) {
+  if (!withinAddressLimit(address)) return { limited: true, error: 'Too many requests, please try again later' };
+
+  const tour = getTour(tourId);
+  if (!tour || !tour.ownerId) return { error: 'Tour not found' };
+  if (!LEAD_KINDS.includes(kind)) return { error: `kind must be one of ${LEAD_KINDS.join(', ')}` };
+
+  const lead = {
+    kind,
+    name: clean(name),
+    email: clean(email).toLowerCase(),
+    phone: clean(phone, 40),
+    message: clean(message, MAX_MESSAGE_LENGTH),
+    preferredTime: kind === 'showing' ? clean(preferredTime) : '',
+  };
+  if (!lead.name) return { error: 'Please enter your name' };
+  if (!lead.email && !lead.phone) return { error: 'Please enter an email address or phone number' };
+  if (lead.email && !EMAIL_PATTERN.test(lead.email)) return { error: 'Please enter a valid email address' };
+  if (kind === 'question' && !lead.message) return { error: 'Please enter your question' };
+
+  return {
+    lead: leads.insert({
+      ...lead,
+      tourId: tour.id,
+      propertyId: tour.propertyId || null,
+      ownerId: tour.ownerId,
+      status: 'new',
+    }),
+  };
+}
+
+/** Newest first. */
+function listLeads(filter) {
+  return leads.list(filter).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getLead(id) {
+  return leads.get(id);
+}
+
+/** @returns {{ lead?: object, error?: string }} */
+function updateLeadStatus(id, status) {
+  if (!LEAD_STATUSES.includes(status)) return { error: `status must be one of ${LEAD_STATUSES.join(', ')}` };
+  return { lead: leads.update(id, { status }) };
+}
+
+function deleteLead(id) {
+  return leads.remove(id);
+}
+
+module.exports = {
+  LEAD_KINDS,
+  LEAD_STATUSES,
+  MAX_MESSAGE_LENGTH,
+  MAX_LEADS_PER_WINDOW,
+  createLead,
+  listLeads,
+  getLead,
+  updateLeadStatus,
+  deleteLead,
+};
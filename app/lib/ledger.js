@@ -0,0 +1,92 @@
+/**
+ * Spend ledger and budget guard
+ *
+ * One entry per submitted generation, recorded when it is submitted (that is
+ * when World Labs charges). Entries are linked to their tour once it exists.
+ *
+ * BUDGET_MONTHLY_USD caps total spend per calendar month (UTC) across the web
+ * app and the CLI; unset means no cap.
+ */
+
+const { createCollection } = require('./store');
+
+const ledger = createCollection('ledger');
+
+function budgetUsd() {
+  const value = parseFloat(process.env.BUDGET_MONTHLY_USD);
+  return Number.isFinite(value) ? value : null;
+}
+
+function monthStart(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+}
+
+function sumUsd(entries) {
+  return Math.round(entries.reduce((total, e) => total + e.usd, 0) * 100) / 100;
+}
+
+/**
+ * @param {{ operationId: string, agent?: string, ownerId?: string, model: string, inputType: string, credits: number, usd: number, source: 'web'|'cli', jobId?: string, propertyId?: string }} fields
+ */
+function recordSpend(fields) {
+  return ledger.insert({ agent: 'unassigned', tourId: null, ...fields });
+}
+
+function attachSpendToTour(operationId, tourId) {
+  for (const entry of ledger.list(e => e.operationId === operationId)) {
+    ledger.update(entry.id, { tourId });
+  }
+}
+
+function monthToDateUsd() {
+  const since = monthStart();
+  return sumUsd(ledger.list(e => e.createdAt >= since));
+}
+
+/**
+ * Whether spending `usd` more stays within the monthly budget.
+ * @returns {{ ok: boolean, budgetUsd: number|null, spentUsd: number, remainingUsd: number|null }}
+ */
+function checkBudget(usd) {
+  const budget = budgetUsd();
+  const spentUsd = monthToDateUsd();
+  if (budget === null) return { ok: true, budgetUsd: null, spentUsd, remainingUsd: null };
+  const remainingUsd = Math.round((budget - spentUsd) * 100) / 100;
+  return { ok: usd <= remainingUsd, budgetUsd: budget, spentUsd, remainingUsd };
+}
+
+function groupTotals(entries, key) {
+  const groups = {};
+  for (const entry of entries) {
+    const id = entry[key] || 'none';
+    groups[id] = groups[id] || { [key]: entry[key] || null, generations: 0, credits: 0, usd: 0 };
+    groups[id].generations += 1;
+    groups[id].credits += entry.credits;
+    groups[id].usd = Math.round((groups[id].usd + entry.usd) * 100) / 100;
+  }
+  return Object.values(groups).sort((a, b) => b.usd - a.usd);
+}
+
+/**
+ * Totals per agent and per tour, optionally limited to one owner. The
+ * month-to-date figure always covers everyone, since the budget is shared.
+ */
+function spendSummary({ since, ownerId } = {}) {
+  const entries = ledger.list(e => (!since || e.createdAt >= since) && (!ownerId || e.ownerId === ownerId));
+  return {
+    totalUsd: sumUsd(entries),
+    totalCredits: entries.reduce((total, e) => total + e.credits, 0),
+    monthToDateUsd: monthToDateUsd(),
+    budgetUsd: budgetUsd(),
+    byAgent: groupTotals(entries, 'agent'),
+    byTour: groupTotals(entries, 'tourId'),
+  };
+}
+
+module.exports = {
+  recordSpend,
+  attachSpendToTour,
+  checkBudget,
+  spendSummary,
+  monthToDateUsd,
+};
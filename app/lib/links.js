@@ -0,0 +1,43 @@
+/**
+ * Links to hosted tours
+ *
+ * Buyers get our /tour/:id page instead of the World Labs viewer, so the
+ * property name and the agent's branding stay around the world. No Node
+ * dependencies, so the upload page can build links and embed snippets too.
+ */
+
+function tourPath(tourId, { embed = false } = {}) {
+  return `/tour/${encodeURIComponent(tourId)}${embed ? '?embed=1' : ''}`;
+}
+
+/** @param {string} origin e.g. `window.location.origin` */
+function tourUrl(origin, tourId, options) {
+  return origin.replace(/\/$/, '') + tourPath(tourId, options);
+}
+
+/**
+ * Origin a request came in on, for absolute links in server-rendered pages
+ * and QR codes. PUBLIC_BASE_URL wins when the app sits behind a proxy.
+ */
+function requestOrigin(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/$/, '');
+  const proto = String(req.headers['x-forwarded-proto'] || 'http').split(',')[0];
+  return `${proto}://${req.headers['x-forwarded-host'] || req.headers.host}`;
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/** `<iframe>` markup for dropping a tour into a listing site. */
+function embedSnippet(origin, tour) {
+  return `<iframe src="${escapeAttribute(tourUrl(origin, tour.id, { embed: true }))}" title="${escapeAttribute(tour.name)}" `
+    + 'width="100%" height="600" style="border:0" allow="fullscreen; xr-spatial-tracking" allowfullscreen></iframe>';
+}
+
+/** Tour name as a download file name part, e.g. "123 Main St." → "123-main-st". */
+function fileSlug(name) {
+  return (name || 'tour').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tour';
+}
+
+module.exports = { tourPath, tourUrl, requestOrigin, embedSnippet, fileSlug };
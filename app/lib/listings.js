@@ -0,0 +1,246 @@
+/**
+ * Listing details
+ *
+ * Optional MLS-style facts stored on a tour as `tour.listing` (address,
+ * price, beds/baths, square footage, MLS number and status). Hosted tour
+ * pages publish them as schema.org RealEstateListing JSON-LD, and the feed
+ * export maps them to RESO Data Dictionary fields so the tour URL can be
+ * attached to the right MLS listing without retyping it.
+ */
+
+const { getTour, updateTour } = require('./tours');
+const { getProperty } = require('./properties');
+const { tourUrl } = require('./links');
+
+const LISTING_STATUSES = ['coming-soon', 'active', 'pending', 'sold', 'off-market'];
+const LISTING_CURRENCY = 'USD';
+
+// RESO StandardStatus for each of our statuses
+const RESO_STATUS = {
+  'coming-soon': 'Coming Soon',
+  active: 'Active',
+  pending: 'Pending',
+  sold: 'Closed',
+  'off-market': 'Withdrawn',
+};
+
+const SCHEMA_AVAILABILITY = {
+  'coming-soon': 'https://schema.org/PreOrder',
+  active: 'https://schema.org/InStock',
+  pending: 'https://schema.org/Reserved',
+  sold: 'https://schema.org/SoldOut',
+  'off-market': 'https://schema.org/Discontinued',
+};
+
+const RESO_FIELDS = [
+  'ListingId',
+  'UnparsedAddress',
+  'ListPrice',
+  'BedroomsTotal',
+  'BathroomsTotalInteger',
+  'BathroomsFull',
+  'BathroomsHalf',
+  'LivingArea',
+  'LivingAreaUnits',
+  'StandardStatus',
+  'VirtualTourURLBranded',
+  'VirtualTourURLUnbranded',
+  'ModificationTimestamp',
+];
+
+const EMPTY_LISTING = {
+  address: null,
+  price: null,
+  beds: null,
+  baths: null,
+  squareFeet: null,
+  mlsNumber: null,
+  status: null,
+};
+
+function isBlank(value) {
+  return value === null || String(value).trim() === '';
+}
+
+// Accepts numbers or strings like "$1,250,000"
+function toNumber(value) {
+  return typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+}
+
+const PARSERS = {
+  address(value) {
+    const address = String(value).trim();
+    return address.length > 200 ? { error: 'Address is too long' } : { value: address };
+  },
+  price(value) {
+    const price = toNumber(value);
+    return Number.isFinite(price) && price >= 0 ? { value: Math.round(price) } : { error: 'Price must be a positive number' };
+  },
+  beds(value) {
+    const beds = toNumber(value);
+    return Number.isInteger(beds) && beds >= 0 && beds <= 100 ? { value: beds } : { error: 'Beds must be a whole number' };
+  },
+  baths(value) {
+    const baths = toNumber(value);
+    return Number.isFinite(baths) && baths >= 0 && baths <= 100 && Number.isInteger(baths * 2)
+      ? { value: baths }
+      : { error: 'Baths must be a whole or half number (e.g. 2.5)' };
+  },
+  squareFeet(value) {
+    const squareFeet = toNumber(value);
+    return Number.isFinite(squareFeet) && squareFeet > 0 ? { value: Math.round(squareFeet) } : { error: 'Square feet must be a positive number' };
+  },
+  mlsNumber(value) {
+    const mlsNumber = String(value).trim();
+    return mlsNumber.length > 40 ? { error: 'MLS number is too long' } : { value: mlsNumber };
+  },
+  status(value) {
+    return LISTING_STATUSES.includes(value)
+      ? { value }
+      : { error: `status must be one of ${LISTING_STATUSES.join(', ')}` };
+  },
+};
+
+/**
+ * Merge `fields` into `current`. Omitted fields are kept; empty strings and
+ * null clear them.
+ * @returns {{ listing?: object, error?: string }}
+ */
+function parseListing(fields, current = {}) {
+  const listing = { ...EMPTY_LISTING, ...current };
+  for (const [key, parse] of Object.entries(PARSERS)) {
+    if (fields[key] === undefined) continue;
+    if (isBlank(fields[key])) {
+      listing[key] = null;
+      continue;
+    }
+    const { value, error } = parse(fields[key]);
+    if (error) return { error };
+    listing[key] = value;
+  }
+  return { listing };
+}
+
+/** @returns {{ tour?: object, error?: string }} */
+function updateListing(tourId, fields) {
+  const tour = getTour(tourId);
+  if (!tour) return { error: 'Tour not found' };
+  const { listing, error } = parseListing(fields || {}, tour.listing);
+  if (error) return { error };
+  return { tour: updateTour(tourId, { listing }) };
+}
+
+/**
+ * The tour's listing with its address falling back to the property's, so
+ * rooms of a property don't each need the address typed in.
+ */
+function listingFor(tour) {
+  const listing = { ...EMPTY_LISTING, ...tour.listing };
+  if (!listing.address && tour.propertyId) {
+    listing.address = getProperty(tour.propertyId)?.address || null;
+  }
+  return listing;
+}
+
+// Drop empty values so the JSON-LD only claims what we know
+function compact(object) {
+  const out = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (value !== null && value !== undefined) out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * schema.org RealEstateListing for the hosted tour page.
+ * @param {{ listing: object, name: string, description: string, url: string, image?: string, datePosted: string, agent?: object }} page
+ */
+function listingJsonLd({ listing, name, description, url, image, datePosted, agent }) {
+  const residence = compact({
+    '@type': 'Accommodation',
+    address: listing.address,
+    numberOfBedrooms: listing.beds,
+    numberOfBathroomsTotal: listing.baths,
+    floorSize: listing.squareFeet != null
+      ? { '@type': 'QuantitativeValue', value: listing.squareFeet, unitCode: 'FTK' }
+      : null,
+  });
+
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'RealEstateListing',
+    name,
+    description,
+    url,
+    image: image || null,
+    datePosted,
+    identifier: listing.mlsNumber
+      ? { '@type': 'PropertyValue', propertyID: 'MLS', value: listing.mlsNumber }
+      : null,
+    about: Object.keys(residence).length > 1 ? residence : null,
+    offers: listing.price != null || listing.status
+      ? compact({
+        '@type': 'Offer',
+        price: listing.price,
+        priceCurrency: listing.price != null ? LISTING_CURRENCY : null,
+        availability: SCHEMA_AVAILABILITY[listing.status] || null,
+      })
+      : null,
+    provider: agent
+      ? compact({ '@type': 'RealEstateAgent', name: agent.name, telephone: agent.phone || null, email: agent.email })
+      : null,
+  });
+}
+
+/**
+ * One RESO Data Dictionary record per tour. The branded URL is our hosted
+ * page; the unbranded one is the bare World Labs viewer, for MLSs that
+ * don't allow agent branding.
+ */
+function resoRecord(tour, origin) {
+  const listing = listingFor(tour);
+  const fullBaths = listing.baths != null ? Math.floor(listing.baths) : null;
+  const halfBaths = listing.baths != null ? (listing.baths % 1 ? 1 : 0) : null;
+  return {
+    ListingId: listing.mlsNumber,
+    UnparsedAddress: listing.address,
+    ListPrice: listing.price,
+    BedroomsTotal: listing.beds,
+    BathroomsTotalInteger: listing.baths != null ? fullBaths + halfBaths : null,
+    BathroomsFull: fullBaths,
+    BathroomsHalf: halfBaths,
+    LivingArea: listing.squareFeet,
+    LivingAreaUnits: listing.squareFeet != null ? 'Square Feet' : null,
+    StandardStatus: RESO_STATUS[listing.status] || null,
+    VirtualTourURLBranded: tourUrl(origin, tour.id),
+    VirtualTourURLUnbranded: tour.viewUrl || null,
+    ModificationTimestamp: tour.updatedAt,
+  };
+}
+
+// Spreadsheets run text starting with these as a formula, so it gets a ' in front
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** RESO records as CSV with the field names as the header row. */
+function resoCsv(records) {
+  return [RESO_FIELDS, ...records.map(record => RESO_FIELDS.map(field => record[field]))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  LISTING_STATUSES,
+  RESO_FIELDS,
+  parseListing,
+  updateListing,
+  listingFor,
+  listingJsonLd,
+  resoRecord,
+  resoCsv,
+};
@@ -0,0 +1,116 @@
+/**
+ * Property manifests for CLI batch mode
+ *
+ * A manifest lists the rooms of one property, each with its own input:
+ *
+ *   property: 123 Main St       # optional; groups the rooms into a property
+ *   quality: standard           # default for rooms (standard | draft)
+ *   layout: auto                # default for photo sets (auto | direction); rooms can override
+ *   concurrency: 2              # rooms generated at once
+ *   rooms:
+ *     - name: Kitchen
+ *       images: [kitchen-1.jpg, kitchen-2.jpg]
+ *     - name: Corner Office     # file@degrees sets each photo's angle (direction layout)
+ *       images: [office-n.jpg@0, office-se.jpg@135, office-w.jpg@270]
+ *     - name: Living Room
+ *       image: living.jpg
+ *       quality: draft
+ *     - name: Walkthrough
+ *       video: walkthrough.mp4
+ *     - name: Great Room
+ *       panorama: great-room-pano.jpg
+ *     - name: Concept Loft
+ *       text: Modern loft with exposed brick
+ *
+ * JSON with the same shape works too. Relative paths resolve against the
+ * manifest's directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { MODELS, MAX_TEXT_PROMPT_LENGTH } = require('./worldlabs');
+const { parseImageArgs } = require('./layout');
+
+const INPUT_KEYS = { image: 'image', images: 'multi', video: 'video', panorama: 'panorama', text: 'text' };
+const DEFAULT_CONCURRENCY = 2;
+
+function resolveInput(value, baseDir) {
+  return value.startsWith('http') ? value : path.resolve(baseDir, value);
+}
+
+/**
+ * Read and validate a manifest.
+ * @returns {{ property: string|null, concurrency: number, rooms: { name: string, mode: string, input?: string, inputs?: string[], layoutMode?: string, azimuths?: number[], model: string }[] }}
+ * @throws {Error} listing every problem found
+ */
+function loadManifest(manifestPath) {
+  const text = fs.readFileSync(manifestPath, 'utf8');
+  const data = /\.ya?ml$/i.test(manifestPath) ? yaml.load(text) : JSON.parse(text);
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const problems = [];
+
+  if (!data || !Array.isArray(data.rooms) || data.rooms.length === 0) {
+    throw new Error('Manifest must have a non-empty "rooms" list');
+  }
+
+  const defaultQuality = data.quality || 'standard';
+  const rooms = data.rooms.map((room, i) => {
+    const label = room.name ? `"${room.name}"` : `#${i + 1}`;
+    const keys = Object.keys(INPUT_KEYS).filter(k => room[k] !== undefined);
+    if (!room.name) problems.push(`Room #${i + 1}: missing name`);
+    if (keys.length !== 1) {
+      problems.push(`Room ${label}: needs exactly one of ${Object.keys(INPUT_KEYS).join(', ')}`);
+      return null;
+    }
+
+    const quality = room.quality || defaultQuality;
+    if (!MODELS[quality]) problems.push(`Room ${label}: unknown quality "${quality}"`);
+
+    const key = keys[0];
+    const spec = { name: room.name, mode: INPUT_KEYS[key], model: MODELS[quality] };
+    if (key === 'images') {
+      // One photo is sent like --images with one path: as a single-image prompt
+      if (!Array.isArray(room.images) || room.images.length === 0) {
+        problems.push(`Room ${label}: "images" needs a list of photos`);
+        return null;
+      }
+      const parsed = parseImageArgs(room.images.map(String), room.layout || data.layout);
+      if (parsed.error) {
+        problems.push(`Room ${label}: ${parsed.error}`);
+        return null;
+      }
+      spec.inputs = parsed.paths.map(p => resolveInput(p, baseDir));
+      spec.layoutMode = parsed.layoutMode;
+      if (parsed.azimuths) spec.azimuths = parsed.azimuths;
+    } else if (key === 'text') {
+      spec.input = String(room.text);
+      if (!spec.input.trim()) problems.push(`Room ${label}: "text" is empty`);
+      if (spec.input.length > MAX_TEXT_PROMPT_LENGTH) {
+        problems.push(`Room ${label}: "text" is over ${MAX_TEXT_PROMPT_LENGTH} characters`);
+      }
+    } else {
+      spec.input = resolveInput(String(room[key]), baseDir);
+    }
+
+    for (const file of spec.inputs || (key === 'text' ? [] : [spec.input])) {
+      if (!file.startsWith('http') && !fs.existsSync(file)) {
+        problems.push(`Room ${label}: file not found ${file}`);
+      }
+    }
+    return spec;
+  });
+
+  const concurrency = data.concurrency === undefined ? DEFAULT_CONCURRENCY : Number(data.concurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    problems.push('"concurrency" must be a positive integer');
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid manifest ${manifestPath}:\n  - ${problems.join('\n  - ')}`);
+  }
+
+  return { property: data.property || null, concurrency, rooms };
+}
+
+module.exports = { loadManifest };
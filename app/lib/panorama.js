@@ -0,0 +1,232 @@
+/**
+ * Panorama normalization
+ *
+ * World Labs expects a full 2:1 equirectangular panorama. Phone pano mode
+ * usually produces a partial strip instead (6:1 or wider, covering only a
+ * band around the horizon), which generates a broken world when sent as is.
+ * normalizePanorama() checks what an image is and turns it into a 2:1
+ * equirectangular JPEG:
+ *
+ * - 2:1 images (within EQUIRECT_TOLERANCE) are treated as equirectangular
+ *   and only resized.
+ * - Images with Photo Sphere (GPano) XMP metadata are placed where the
+ *   metadata says on the full sphere.
+ * - Wider strips without metadata are treated as cylindrical phone panos:
+ *   the field of view is estimated from the aspect ratio, rows are
+ *   reprojected to equirectangular latitudes and the rest of the sphere is
+ *   padded with the strip's edge colors.
+ * - Anything narrower than 2:1 is not a 360° panorama and is rejected.
+ */
+
+const sharp = require('sharp');
+const { MODELS } = require('./worldlabs');
+const { readImageSource, encodeJpeg } = require('./images');
+
+// Output width per model (height is half)
+const PANORAMA_MAX_EDGE = { [MODELS.standard]: 4096, [MODELS.draft]: 2048 };
+const EQUIRECT_TOLERANCE = 0.1;
+// Vertical field of view assumed for a phone pano strip without metadata
+const STRIP_VERTICAL_FOV = 65 * (Math.PI / 180);
+// Rows at the strip's top and bottom averaged for the padding colors
+const EDGE_SAMPLE_ROWS = 4;
+
+class PanoramaError extends Error {}
+
+function degrees(radians) {
+  return Math.round(radians * (180 / Math.PI));
+}
+
+function formatAspect(width, height) {
+  return `${(width / height).toFixed(2).replace(/\.?0+$/, '')}:1`;
+}
+
+/** Photo Sphere XMP fields, or null when the image has none. */
+function readGPano(xmp) {
+  if (!xmp) return null;
+  const text = xmp.toString('utf8');
+  const field = (name) => {
+    // Attribute (GPano:X="1") or element (<GPano:X>1</GPano:X>) form
+    const match = text.match(new RegExp(`GPano:${name}(?:="([^"]*)"|>([^<]*)<)`));
+    return match ? (match[1] ?? match[2]).trim() : undefined;
+  };
+  const projection = field('ProjectionType');
+  if (!projection) return null;
+  const number = name => Number(field(name));
+  return {
+    projection,
+    fullWidth: number('FullPanoWidthPixels'),
+    fullHeight: number('FullPanoHeightPixels'),
+    croppedWidth: number('CroppedAreaImageWidthPixels'),
+    croppedHeight: number('CroppedAreaImageHeightPixels'),
+    left: number('CroppedAreaLeftPixels') || 0,
+    top: number('CroppedAreaTopPixels') || 0,
+  };
+}
+
+// Mean color of `rows` rows starting at `start` of a raw RGB buffer
+function meanColor(raw, width, start, rows) {
+  const sum = [0, 0, 0];
+  for (let y = start; y < start + rows; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      sum[0] += raw[i];
+      sum[1] += raw[i + 1];
+      sum[2] += raw[i + 2];
+    }
+  }
+  return sum.map(total => Math.round(total / (width * rows)));
+}
+
+function fillRow(out, outWidth, y, [r, g, b]) {
+  for (let x = 0; x < outWidth; x++) {
+    const i = (y * outWidth + x) * 3;
+    out[i] = r;
+    out[i + 1] = g;
+    out[i + 2] = b;
+  }
+}
+
+async function rawRgb(pipeline) {
+  const { data, info } = await pipeline.removeAlpha().toColourspace('srgb').raw().toBuffer({ resolveWithObject: true });
+  return { raw: data, width: info.width, height: info.height };
+}
+
+/**
+ * Reproject a cylindrical strip covering `hfov` radians horizontally onto an
+ * outWidth × outWidth/2 equirectangular canvas, centered on the horizon.
+ */
+async function cylindricalToEquirect(image, { hfov, outWidth }) {
+  const outHeight = outWidth / 2;
+  const stripWidth = Math.round(outWidth * (hfov / (2 * Math.PI)));
+  const strip = await rawRgb(image.clone().resize({ width: stripWidth }));
+  const rows = Math.min(EDGE_SAMPLE_ROWS, strip.height);
+  const topColor = meanColor(strip.raw, strip.width, 0, rows);
+  const bottomColor = meanColor(strip.raw, strip.width, strip.height - rows, rows);
+
+  // Pixels per radian along the cylinder; a row's height on it is f·tan(latitude)
+  const f = strip.width / hfov;
+  const halfVertical = Math.atan(strip.height / 2 / f);
+  const left = Math.floor((outWidth - strip.width) / 2);
+  const out = Buffer.alloc(outWidth * outHeight * 3);
+  const stride = strip.width * 3;
+
+  for (let y = 0; y < outHeight; y++) {
+    const latitude = (0.5 - (y + 0.5) / outHeight) * Math.PI;
+    if (Math.abs(latitude) > halfVertical) {
+      fillRow(out, outWidth, y, latitude > 0 ? topColor : bottomColor);
+      continue;
+    }
+    const sourceY = Math.min(Math.max(strip.height / 2 - f * Math.tan(latitude) - 0.5, 0), strip.height - 1);
+    const y0 = Math.floor(sourceY);
+    const y1 = Math.min(y0 + 1, strip.height - 1);
+    const t = sourceY - y0;
+    // Partial sweeps leave the sides open; pad them like the poles
+    fillRow(out, outWidth, y, latitude > 0 ? topColor : bottomColor);
+    const rowStart = (y * outWidth + left) * 3;
+    for (let i = 0; i < stride; i++) {
+      out[rowStart + i] = strip.raw[y0 * stride + i] * (1 - t) + strip.raw[y1 * stride + i] * t;
+    }
+  }
+
+  return {
+    pipeline: sharp(out, { raw: { width: outWidth, height: outHeight, channels: 3 } }),
+    verticalFov: halfVertical * 2,
+  };
+}
+
+/**
+ * Place an equirectangular crop described by GPano metadata on the full sphere.
+ */
+async function placeGPanoCrop(image, gpano, { width, height, maxEdge }) {
+  const scale = width / gpano.croppedWidth;
+  const fullWidth = gpano.fullWidth * scale;
+  const outWidth = Math.min(Math.round(fullWidth / 2) * 2, maxEdge);
+  const k = outWidth / fullWidth;
+  const cropWidth = Math.min(Math.round(width * k), outWidth);
+  const cropHeight = Math.min(Math.round(height * k), outWidth / 2);
+  const crop = await rawRgb(image.clone().resize({ width: cropWidth, height: cropHeight, fit: 'fill' }));
+  const rows = Math.min(EDGE_SAMPLE_ROWS, crop.height);
+  const [r, g, b] = meanColor(crop.raw, crop.width, 0, rows);
+  const [r2, g2, b2] = meanColor(crop.raw, crop.width, crop.height - rows, rows);
+
+  const outHeight = outWidth / 2;
+  const horizon = Math.floor(outHeight / 2);
+  return sharp({ create: { width: outWidth, height: outHeight, channels: 3, background: { r, g, b } } })
+    .composite([
+      { input: { create: { width: outWidth, height: outHeight - horizon, channels: 3, background: { r: r2, g: g2, b: b2 } } }, left: 0, top: horizon },
+      {
+        input: crop.raw,
+        raw: { width: crop.width, height: crop.height, channels: 3 },
+        left: Math.min(Math.round(gpano.left * scale * k), outWidth - crop.width),
+        top: Math.min(Math.round(gpano.top * scale * k), outHeight - crop.height),
+      },
+    ]);
+}
+
+/**
+ * Check an image as a panorama and convert it to 2:1 equirectangular.
+ * @param {Buffer | string} input Image bytes or a file path
+ * @param {{ model?: string }} [options]
+ * @returns {Promise<{ data: Buffer, mimeType: string, width: number, height: number, hash: string, report: {
+ *   projection: 'equirectangular' | 'partial-equirectangular' | 'cylindrical',
+ *   source: { width: number, height: number, aspect: string },
+ *   coverage: { horizontal: number, vertical: number },
+ *   notes: string[],
+ * } }>}
+ * @throws {PanoramaError} when the image is not a usable panorama
+ */
+async function normalizePanorama(input, { model = MODELS.standard } = {}) {
+  const source = await readImageSource(input);
+  // rotate() without an angle applies the EXIF orientation
+  const image = sharp(source).rotate();
+  const metadata = await sharp(source).metadata();
+  const swapped = metadata.orientation >= 5;
+  const width = swapped ? metadata.height : metadata.width;
+  const height = swapped ? metadata.width : metadata.height;
+  const aspect = width / height;
+  const maxEdge = PANORAMA_MAX_EDGE[model] || PANORAMA_MAX_EDGE[MODELS.standard];
+  const report = { source: { width, height, aspect: formatAspect(width, height) }, notes: [] };
+
+  const gpano = readGPano(metadata.xmp);
+  if (gpano && gpano.projection !== 'equirectangular') {
+    throw new PanoramaError(`Unsupported panorama projection "${gpano.projection}"; export it as equirectangular`);
+  }
+  const isCrop = gpano && gpano.fullWidth > 0 && gpano.croppedWidth > 0
+    && (gpano.croppedWidth < gpano.fullWidth || gpano.croppedHeight < gpano.fullHeight);
+
+  let pipeline;
+  if (isCrop) {
+    pipeline = await placeGPanoCrop(image, gpano, { width, height, maxEdge });
+    report.projection = 'partial-equirectangular';
+    report.coverage = {
+      horizontal: Math.round((gpano.croppedWidth / gpano.fullWidth) * 360),
+      vertical: Math.round((gpano.croppedHeight / gpano.fullHeight) * 180),
+    };
+    report.notes.push('Placed on the full sphere using the photo sphere metadata; the missing area is padded');
+  } else if (Math.abs(aspect - 2) <= EQUIRECT_TOLERANCE) {
+    const outWidth = Math.min(Math.round(width / 2) * 2, maxEdge);
+    pipeline = image.resize({ width: outWidth, height: outWidth / 2, fit: 'fill' });
+    report.projection = 'equirectangular';
+    report.coverage = { horizontal: 360, vertical: 180 };
+    if (aspect !== 2) report.notes.push(`Stretched from ${report.source.aspect} to exactly 2:1`);
+  } else if (aspect > 2) {
+    // A cylinder of height h seen with vertical FOV v is h / (2·tan(v/2)) radians
+    // tall in horizontal units, so the aspect ratio gives the horizontal sweep
+    const hfov = Math.min(2 * Math.PI, aspect * 2 * Math.tan(STRIP_VERTICAL_FOV / 2));
+    const outWidth = Math.min(Math.round((width * (2 * Math.PI / hfov)) / 2) * 2, maxEdge);
+    const result = await cylindricalToEquirect(image, { hfov, outWidth });
+    pipeline = result.pipeline;
+    report.projection = 'cylindrical';
+    report.coverage = { horizontal: degrees(hfov), vertical: degrees(result.verticalFov) };
+    report.notes.push(`Partial panorama (${report.source.aspect}) reprojected to equirectangular; top, bottom${hfov < 2 * Math.PI ? ' and sides' : ''} padded`);
+  } else {
+    throw new PanoramaError(
+      `This is a ${report.source.aspect} image, not a 360° panorama. Panoramas must be 2:1 equirectangular `
+      + 'or a wider pano-mode strip; send regular photos as images instead',
+    );
+  }
+
+  return { ...await encodeJpeg(pipeline), report };
+}
+
+module.exports = { PANORAMA_MAX_EDGE, PanoramaError, normalizePanorama };
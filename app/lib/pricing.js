@@ -0,0 +1,31 @@
+/**
+ * Generation pricing
+ *
+ * World Labs bills in credits ($5 buys 6,250). Costs are per model and input
+ * type; update CREDIT_COSTS when World Labs changes its price list. This
+ * module has no Node dependencies so the upload page can import it too.
+ */
+
+const USD_PER_CREDIT = 5 / 6250;
+
+const CREDIT_COSTS = {
+  'Marble 0.1-plus': { text: 1500, images: 1500, panorama: 1500, video: 1500 },
+  'Marble 0.1-mini': { text: 150, images: 150, panorama: 150, video: 150 },
+};
+
+/**
+ * @param {{ model: string, inputType?: string }} params
+ * @returns {{ credits: number, usd: number }}
+ */
+function estimateCost({ model, inputType = 'images' }) {
+  const costs = CREDIT_COSTS[model];
+  if (!costs) throw new Error(`No pricing for model "${model}"`);
+  const credits = costs[inputType] ?? costs.images;
+  return { credits, usd: Math.round(credits * USD_PER_CREDIT * 100) / 100 };
+}
+
+function formatUsd(usd) {
+  return `$${usd.toFixed(2)}`;
+}
+
+module.exports = { USD_PER_CREDIT, CREDIT_COSTS, estimateCost, formatUsd };
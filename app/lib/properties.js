@@ -0,0 +1,106 @@
+/**
+ * Properties
+ *
+ * A property is one listing (an address) holding an ordered list of rooms.
+ * Each room points at the tour generated for it; while its job is still
+ * running the room only has a jobId.
+ */
+
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+const { getTour } = require('./tours');
+
+const properties = createCollection('properties');
+
+function listProperties(filter) {
+  return properties.list(filter).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getProperty(id) {
+  return properties.get(id);
+}
+
+/** @param {{ address: string, name?: string, ownerId?: string }} fields */
+function createProperty({ address, name, ownerId }) {
+  return properties.insert({ address, name: name || address, ownerId, rooms: [] });
+}
+
+function updateProperty(id, { address, name }) {
+  const patch = {};
+  if (address !== undefined) patch.address = address;
+  if (name !== undefined) patch.name = name;
+  return properties.update(id, patch);
+}
+
+function deleteProperty(id) {
+  return properties.remove(id);
+}
+
+function updateRooms(propertyId, change) {
+  const property = properties.get(propertyId);
+  if (!property) return null;
+  return properties.update(propertyId, { rooms: change(property.rooms) });
+}
+
+/**
+ * Append a room. Pass `tourId` for an existing tour or `jobId` for one still generating.
+ * @returns {object|null} the new room, or null if the property does not exist
+ */
+function addRoom(propertyId, { name, tourId = null, jobId = null }) {
+  const room = { id: crypto.randomUUID(), name, tourId, jobId };
+  return updateRooms(propertyId, rooms => [...rooms, room]) ? room : null;
+}
+
+/**
+ * Rename a room, relink its tour, or move it to `position` (0-based).
+ * @returns {object|null} the updated property
+ */
+function updateRoom(propertyId, roomId, { name, tourId, position }) {
+  return updateRooms(propertyId, (rooms) => {
+    const index = rooms.findIndex(r => r.id === roomId);
+    if (index === -1) return rooms;
+    const room = { ...rooms[index] };
+    if (name !== undefined) room.name = name;
+    if (tourId !== undefined) room.tourId = tourId;
+
+    const next = rooms.filter((_, i) => i !== index);
+    const target = position === undefined ? index : Math.max(0, Math.min(position, next.length));
+    next.splice(target, 0, room);
+    return next;
+  });
+}
+
+function removeRoom(propertyId, roomId) {
+  return updateRooms(propertyId, rooms => rooms.filter(r => r.id !== roomId));
+}
+
+/** Link the tour produced by a finished job to the room waiting on it. */
+function attachJobTour(propertyId, jobId, tourId) {
+  return updateRooms(propertyId, rooms => rooms.map(r => (
+    r.jobId === jobId ? { ...r, tourId } : r
+  )));
+}
+
+/** Property with each room's tour record embedded, for display. */
+function withTours(property) {
+  return {
+    ...property,
+    rooms: property.rooms.map(room => ({
+      ...room,
+      tour: room.tourId ? getTour(room.tourId) : null,
+    })),
+  };
+}
+
+module.exports = {
+  listProperties,
+  getProperty,
+  createProperty,
+  updateProperty,
+  deleteProperty,
+  addRoom,
+  updateRoom,
+  removeRoom,
+  attachJobTour,
+  withTours,
+};
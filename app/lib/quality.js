@@ -0,0 +1,215 @@
+/**
+ * Pre-flight quality checks
+ *
+ * Looks at the processed photos before a generation is paid for and reports
+ * the problems described in the upload page's tips: blur, bad exposure,
+ * mixed aspect ratios and, for auto layout, shots that do not overlap.
+ * Errors block the generation; warnings are shown and can be accepted.
+ *
+ * The measurements are cheap heuristics on small grayscale copies, so the
+ * thresholds lean towards warnings and only block on clear failures.
+ */
+
+const sharp = require('sharp');
+
+const ANALYSIS_EDGE = 512;
+const THUMB_WIDTH = 64;
+const THUMB_HEIGHT = 48;
+
+// Variance of the Laplacian on the 512px copy
+const SHARPNESS = { error: 20, warning: 100 };
+// Mean luminance (0-255) and share of nearly black / blown-out pixels
+const DARK = { mean: 50, clipped: 0.6 };
+const BRIGHT = { mean: 215, clipped: 0.6 };
+const MAX_LUMINANCE_SPREAD = 90;
+const MAX_ASPECT_SPREAD = 1.15;
+// Best normalized cross-correlation with any other shot at a plausible overlap
+const MIN_OVERLAP_SCORE = 0.5;
+const OVERLAP_SHIFTS = [0.1, 0.7]; // horizontal offset as a share of the width
+
+/**
+ * @typedef {{ severity: 'error' | 'warning', check: 'blur' | 'exposure' | 'aspect' | 'overlap' | 'duplicate', input: string | null, message: string }} Issue
+ */
+
+function laplacianVariance(pixels, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function luminanceStats(pixels) {
+  let total = 0;
+  let dark = 0;
+  let bright = 0;
+  for (const value of pixels) {
+    total += value;
+    if (value < 20) dark++;
+    if (value > 240) bright++;
+  }
+  return {
+    meanLuminance: total / pixels.length,
+    darkFraction: dark / pixels.length,
+    brightFraction: bright / pixels.length,
+  };
+}
+
+/**
+ * Measurements used by the checks.
+ * @param {Buffer} data Encoded image (the output of prepareImage)
+ */
+async function measureImage(data) {
+  const { width, height } = await sharp(data).metadata();
+  const gray = await sharp(data)
+    .greyscale()
+    .resize({ width: ANALYSIS_EDGE, height: ANALYSIS_EDGE, fit: 'inside', withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const thumb = await sharp(data)
+    .greyscale()
+    .resize(THUMB_WIDTH, THUMB_HEIGHT, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  return {
+    width,
+    height,
+    sharpness: laplacianVariance(gray.data, gray.info.width, gray.info.height),
+    ...luminanceStats(gray.data),
+    thumb,
+  };
+}
+
+// Normalized cross-correlation of a's right part against b's left part when b is shifted by `shift` columns
+function shiftedCorrelation(a, b, shift) {
+  let n = 0, sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+  for (let y = 0; y < THUMB_HEIGHT; y++) {
+    for (let x = shift; x < THUMB_WIDTH; x++) {
+      const va = a[y * THUMB_WIDTH + x];
+      const vb = b[y * THUMB_WIDTH + x - shift];
+      n++;
+      sumA += va; sumB += vb;
+      sumAA += va * va; sumBB += vb * vb; sumAB += va * vb;
+    }
+  }
+  const covariance = sumAB / n - (sumA / n) * (sumB / n);
+  const deviation = Math.sqrt((sumAA / n - (sumA / n) ** 2) * (sumBB / n - (sumB / n) ** 2));
+  return deviation > 0 ? covariance / deviation : 0;
+}
+
+function overlapScore(a, b) {
+  let best = -1;
+  const [minShift, maxShift] = OVERLAP_SHIFTS.map(share => Math.round(share * THUMB_WIDTH));
+  for (let shift = minShift; shift <= maxShift; shift++) {
+    best = Math.max(best, shiftedCorrelation(a, b, shift), shiftedCorrelation(b, a, shift));
+  }
+  return best;
+}
+
+function exposureIssue(name, m) {
+  if (m.darkFraction > DARK.clipped || m.meanLuminance < DARK.mean) {
+    return {
+      severity: m.darkFraction > DARK.clipped ? 'error' : 'warning',
+      check: 'exposure',
+      input: name,
+      message: `${name} is underexposed — turn on the lights or shoot during the day`,
+    };
+  }
+  if (m.brightFraction > BRIGHT.clipped || m.meanLuminance > BRIGHT.mean) {
+    return {
+      severity: m.brightFraction > BRIGHT.clipped ? 'error' : 'warning',
+      check: 'exposure',
+      input: name,
+      message: `${name} is overexposed — avoid shooting into windows`,
+    };
+  }
+  return null;
+}
+
+function imageIssues(name, m) {
+  const issues = [];
+  const exposure = exposureIssue(name, m);
+  if (exposure) issues.push(exposure);
+  // Dark and washed-out frames lose contrast, so their sharpness says little
+  if (exposure?.severity !== 'error' && m.sharpness < SHARPNESS.warning) {
+    issues.push({
+      severity: m.sharpness < SHARPNESS.error ? 'error' : 'warning',
+      check: 'blur',
+      input: name,
+      message: `${name} looks blurry (sharpness ${Math.round(m.sharpness)})`,
+    });
+  }
+  return issues;
+}
+
+function setIssues(images, { layoutMode }) {
+  const issues = [];
+
+  const luminances = images.map(({ m }) => m.meanLuminance);
+  if (Math.max(...luminances) - Math.min(...luminances) > MAX_LUMINANCE_SPREAD) {
+    issues.push({
+      severity: 'warning',
+      check: 'exposure',
+      input: null,
+      message: 'Lighting differs a lot between photos — shoot the set under the same lighting',
+    });
+  }
+
+  const ratios = images.map(({ m }) => m.width / m.height);
+  if (Math.max(...ratios) / Math.min(...ratios) > MAX_ASPECT_SPREAD) {
+    issues.push({
+      severity: 'warning',
+      check: 'aspect',
+      input: null,
+      message: 'Photos have different aspect ratios — shoot them all in the same orientation',
+    });
+  }
+
+  if (layoutMode === 'auto') {
+    for (const [i, { name, m }] of images.entries()) {
+      const best = Math.max(...images.filter((_, j) => j !== i).map(other => overlapScore(m.thumb, other.m.thumb)));
+      if (best < MIN_OVERLAP_SCORE) {
+        issues.push({
+          severity: 'warning',
+          check: 'overlap',
+          input: name,
+          message: `${name} barely overlaps the other photos — auto layout needs 60-70% overlap between neighbours`,
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * @param {{ name: string, data: Buffer }[]} images Processed photos of one generation
+ * @param {{ layoutMode?: 'auto' | 'direction' }} [options]
+ * @returns {Promise<Issue[]>}
+ */
+async function checkImages(images, { layoutMode = 'auto' } = {}) {
+  const measured = [];
+  for (const { name, data } of images) {
+    measured.push({ name, m: await measureImage(data) });
+  }
+
+  const issues = measured.flatMap(({ name, m }) => imageIssues(name, m));
+  if (measured.length > 1) issues.push(...setIssues(measured, { layoutMode }));
+  return issues;
+}
+
+function hasBlockingIssues(issues) {
+  return issues.some(issue => issue.severity === 'error');
+}
+
+module.exports = { checkImages, hasBlockingIssues, measureImage };
@@ -0,0 +1,37 @@
+/**
+ * Rate limits
+ *
+ * Fixed-window counters kept in memory, for the public endpoints (analytics
+ * reports and buyer leads) that anyone can post to. Keys are usually the
+ * client's network address. Counters reset when the server restarts, which
+ * is fine for slowing down floods; they are not a quota.
+ */
+
+// Expired windows are swept once this many keys are held
+const SWEEP_SIZE = 10000;
+
+/**
+ * @param {{ limit: number, windowMs: number }} options
+ * @returns {(key: string, now?: number) => boolean} false once `key` has
+ *   made more than `limit` calls in the current window
+ */
+function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map(); // key → { start, count }
+
+  return function withinLimit(key, now = Date.now()) {
+    if (windows.size >= SWEEP_SIZE) {
+      for (const [k, w] of windows) {
+        if (now - w.start >= windowMs) windows.delete(k);
+      }
+    }
+    const window = windows.get(key);
+    if (!window || now - window.start >= windowMs) {
+      windows.set(key, { start: now, count: 1 });
+      return true;
+    }
+    window.count++;
+    return window.count <= limit;
+  };
+}
+
+module.exports = { createRateLimiter };
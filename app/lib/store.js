@@ -0,0 +1,75 @@
+/**
+ * JSON-file store
+ *
+ * Each collection is a single JSON array on disk under DATA_DIR
+ * (TOURS_DATA_DIR, default ./data relative to the Next.js app directory).
+ * The CLI sets TOURS_DATA_DIR to the same place, and writes go through a
+ * temp file + rename to avoid torn reads between the two.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Not __dirname: the routes are bundled into .next/, so resolve from the app root
+const DATA_DIR = process.env.TOURS_DATA_DIR || path.join(process.cwd(), 'data');
+
+function readCollection(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeCollection(file, records) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * @param {string} name Collection name, stored as `${name}.json`
+ */
+function createCollection(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+
+  return {
+    /** @param {(record: object) => boolean} [filter] */
+    list(filter) {
+      const records = readCollection(file);
+      return filter ? records.filter(filter) : records;
+    },
+
+    get(id) {
+      return readCollection(file).find(r => r.id === id) || null;
+    },
+
+    insert(fields) {
+      const now = new Date().toISOString();
+      const record = { id: crypto.randomUUID(), ...fields, createdAt: now, updatedAt: now };
+      const records = readCollection(file);
+      records.push(record);
+      writeCollection(file, records);
+      return record;
+    },
+
+    /** Shallow-merge `patch` into the record; returns null if it does not exist. */
+    update(id, patch) {
+      const records = readCollection(file);
+      const index = records.findIndex(r => r.id === id);
+      if (index === -1) return null;
+      records[index] = { ...records[index], ...patch, id, updatedAt: new Date().toISOString() };
+      writeCollection(file, records);
+      return records[index];
+    },
+
+    remove(id) {
+      const records = readCollection(file);
+      const remaining = records.filter(r => r.id !== id);
+      if (remaining.length === records.length) return false;
+      writeCollection(file, remaining);
+      return true;
+    },
+  };
+}
+
+module.exports = { DATA_DIR, createCollection };
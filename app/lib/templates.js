@@ -0,0 +1,97 @@
+/**
+ * Prompt templates
+ *
+ * Reusable descriptions for text-prompted worlds, used to build concept rooms
+ * for pre-construction listings. The built-in set ships with the app; agents
+ * can save their own, which only they see.
+ */
+
+const { createCollection } = require('./store');
+const { MAX_TEXT_PROMPT_LENGTH } = require('./worldlabs');
+
+const templates = createCollection('prompt-templates');
+
+const BUILTIN_TEMPLATES = [
+  {
+    id: 'modern-staged-living-room',
+    name: 'Modern staged living room',
+    text: 'A bright modern living room staged for sale, with a low grey sectional sofa, walnut coffee table, wool rug, floor-to-ceiling windows with sheer curtains, white walls and light oak floors, soft afternoon daylight',
+  },
+  {
+    id: 'empty-unit-hardwood',
+    name: 'Empty unit with hardwood',
+    text: 'An empty, freshly painted apartment unit with wide-plank hardwood floors, white walls, recessed ceiling lights, large windows and baseboard trim, no furniture, even natural light',
+  },
+  {
+    id: 'chef-kitchen',
+    name: "Chef's kitchen",
+    text: 'A contemporary open kitchen with a large quartz waterfall island, flat-panel white cabinets, stainless steel appliances, brass pendant lights over the island, herringbone wood floors and a window over the sink',
+  },
+  {
+    id: 'primary-suite',
+    name: 'Primary suite',
+    text: 'A calm primary bedroom with a king bed in linen bedding, upholstered headboard, matching nightstands with lamps, a reading chair by a large window, neutral colours and carpeted floor',
+  },
+  {
+    id: 'spa-bathroom',
+    name: 'Spa bathroom',
+    text: 'A spa-like bathroom with a freestanding soaking tub, walk-in glass shower, floating double vanity in light wood, large-format stone tiles, matte black fixtures and a frosted window',
+  },
+  {
+    id: 'home-office',
+    name: 'Home office',
+    text: 'A compact home office with a wooden desk facing a window, ergonomic chair, built-in shelving with books and plants, warm task lighting and painted sage-green walls',
+  },
+  {
+    id: 'rooftop-terrace',
+    name: 'Rooftop terrace',
+    text: 'A city rooftop terrace with composite decking, outdoor lounge seating, planters with grasses, string lights overhead, glass balustrade and a skyline view at golden hour',
+  },
+].map(template => ({ ...template, builtin: true }));
+
+/** Built-in templates first, then the agent's own, newest first. */
+function listTemplates(ownerId) {
+  const own = templates.list(t => t.ownerId === ownerId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return [...BUILTIN_TEMPLATES, ...own];
+}
+
+function getTemplate(id) {
+  return BUILTIN_TEMPLATES.find(t => t.id === id) || templates.get(id);
+}
+
+/**
+ * Look a template up by ID or (case-insensitive) name among the ones the
+ * agent can use, as the CLI's --template does.
+ */
+function findTemplate(idOrName, ownerId) {
+  const key = idOrName.toLowerCase();
+  return listTemplates(ownerId).find(t => t.id === idOrName || t.name.toLowerCase() === key) || null;
+}
+
+/**
+ * @param {{ name: string, text: string, ownerId?: string }} fields
+ * @returns {{ template?: object, error?: string }}
+ */
+function createTemplate({ name, text, ownerId }) {
+  name = (name || '').trim();
+  text = (text || '').trim();
+  if (!name || !text) return { error: 'name and text required' };
+  if (text.length > MAX_TEXT_PROMPT_LENGTH) {
+    return { error: `Text prompts are limited to ${MAX_TEXT_PROMPT_LENGTH} characters` };
+  }
+  return { template: templates.insert({ name, text, ownerId }) };
+}
+
+function deleteTemplate(id) {
+  return templates.remove(id);
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  listTemplates,
+  getTemplate,
+  findTemplate,
+  createTemplate,
+  deleteTemplate,
+};
@@ -0,0 +1,186 @@
+/**
+ * Tour packages
+ *
+ * An offline archive of a finished tour: every file the World Labs world
+ * response links to (splats, meshes, panoramas, thumbnails), the original
+ * inputs and the tour's metadata, zipped together. Used by the app's
+ * "Export package" action and the CLI's --download, so brokerages keep a
+ * copy for compliance and in case the hosted world goes away.
+ *
+ * Zip layout:
+ *   tour.json      the tour record (listing details included)
+ *   world.json     the world response the assets were fetched from
+ *   assets/...     one file per asset URL, named after its key in the response
+ *   inputs/...     the photos, video or text prompt the world was made from
+ *   manifest.json  what was packaged, with the source URL of every asset and
+ *                  any asset that could not be fetched
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const archiver = require('archiver');
+const { getUpload, uploadPath, isComplete } = require('./uploads');
+const { owns } = require('./auth');
+const { fileSlug } = require('./links');
+const { isAssetUrl } = require('./worldlabs');
+
+const MAX_REDIRECTS = 3;
+
+/** e.g. "123-main-st-w-1.zip" */
+function packageFileName(tour) {
+  return `${fileSlug(tour.name)}-${fileSlug(tour.worldId)}.zip`;
+}
+
+function isUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//i.test(value);
+}
+
+/**
+ * Every URL under `world.assets`, keyed by its path in the response
+ * (e.g. "splats/spz_urls/full_res"), so new asset kinds are picked up
+ * without changes here.
+ * @returns {{ key: string, url: string }[]}
+ */
+function worldAssetUrls(world) {
+  const found = [];
+  const walk = (value, keys) => {
+    if (isUrl(value)) found.push({ key: keys.join('/'), url: value });
+    else if (value && typeof value === 'object') {
+      for (const [key, child] of Object.entries(value)) walk(child, [...keys, key]);
+    }
+  };
+  walk(world?.assets, []);
+  return found;
+}
+
+function assetFileName({ key, url }) {
+  const ext = path.extname(new URL(url).pathname);
+  return `assets/${key.replace(/_url$/, '') || 'asset'}${ext}`;
+}
+
+/**
+ * Inputs of a tour made in the app: uploaded files are still on disk under
+ * DATA_DIR/uploads; text prompts are written out as text. Only `user`'s own
+ * uploads are included, as in resolveUploads().
+ * @returns {{ name: string, path?: string, text?: string }[]}
+ */
+function uploadedInputs(tour, user) {
+  return (tour.inputs || []).map((input) => {
+    if (input.text) return { name: 'prompt.txt', text: input.text };
+    const upload = input.uploadId ? getUpload(input.uploadId) : null;
+    const usable = user && owns(user, upload) && isComplete(upload);
+    return { name: input.name, path: usable ? uploadPath(upload) : null };
+  });
+}
+
+/**
+ * Download a world asset, following redirects only while they stay on
+ * allowed hosts.
+ */
+async function fetchAsset(url, redirects = MAX_REDIRECTS) {
+  if (!isAssetUrl(url)) throw new Error('Not a World Labs asset host');
+  const response = await fetch(url, { redirect: 'manual' });
+  const location = response.headers.get('location');
+  if (response.status >= 300 && response.status < 400 && location) {
+    if (redirects === 0) throw new Error('Too many redirects');
+    return fetchAsset(new URL(location, url).href, redirects - 1);
+  }
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response;
+}
+
+// archiver reads entries one at a time; wait for each so only one download is open
+function appendEntry(archive, source, name) {
+  return new Promise((resolve, reject) => {
+    const onEntry = (entry) => {
+      if (entry.name !== name) return;
+      archive.off('entry', onEntry);
+      archive.off('error', reject);
+      resolve();
+    };
+    archive.on('entry', onEntry);
+    archive.once('error', reject);
+    archive.append(source, { name });
+  });
+}
+
+/**
+ * Stream a tour's package as a zip into `output` (a file stream or an HTTP
+ * response). The world is fetched again, so asset URLs are fresh and only
+ * ever come from World Labs; if that fails the export fails before anything
+ * is written. Assets that can't be downloaded, or are not on a World Labs
+ * host (isAssetUrl), are listed in manifest.json instead of failing the
+ * package.
+ * @param {object} tour
+ * @param {NodeJS.WritableStream} output
+ * @param {{ client: object, user?: object, inputs?: { name: string, path?: string, url?: string, text?: string }[] }} options
+ *   Without `inputs`, the tour's uploads that belong to `user` are packaged
+ * @returns {Promise<{ assets: object[], inputs: object[], missing: object[] }>}
+ */
+async function writeTourPackage(tour, output, { client, user, inputs = uploadedInputs(tour, user) }) {
+  const world = await client.getWorld(tour.worldId);
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  // Archive errors surface through appendEntry() and finalize()
+  const done = new Promise((resolve) => {
+    output.on('finish', resolve);
+    output.on('close', resolve);
+  });
+  archive.pipe(output);
+
+  const manifest = { tourId: tour.id, worldId: tour.worldId, viewUrl: tour.viewUrl, exportedAt: new Date().toISOString(), assets: [], inputs: [], missing: [] };
+
+  archive.append(JSON.stringify(tour, null, 2), { name: 'tour.json' });
+  archive.append(JSON.stringify(world, null, 2), { name: 'world.json' });
+
+  const usedNames = new Set();
+  const uniqueName = (name) => {
+    let candidate = name;
+    for (let i = 2; usedNames.has(candidate); i++) {
+      const ext = path.extname(name);
+      candidate = `${name.slice(0, name.length - ext.length)}-${i}${ext}`;
+    }
+    usedNames.add(candidate);
+    return candidate;
+  };
+
+  for (const asset of worldAssetUrls(world)) {
+    try {
+      const response = await fetchAsset(asset.url);
+      const file = uniqueName(assetFileName(asset));
+      await appendEntry(archive, Readable.fromWeb(response.body), file);
+      manifest.assets.push({ ...asset, file });
+    } catch (error) {
+      manifest.missing.push({ ...asset, error: error.message });
+    }
+  }
+
+  for (const input of inputs) {
+    const file = uniqueName(`inputs/${path.basename(input.name || 'input')}`);
+    try {
+      if (input.text !== undefined) {
+        archive.append(input.text, { name: file });
+      } else if (input.path) {
+        await fs.promises.access(input.path);
+        await appendEntry(archive, fs.createReadStream(input.path), file);
+      } else if (isUrl(input.url)) {
+        const response = await fetch(input.url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await appendEntry(archive, Readable.fromWeb(response.body), file);
+      } else {
+        throw new Error('Original file is no longer available');
+      }
+      manifest.inputs.push({ name: input.name, file });
+    } catch (error) {
+      manifest.missing.push({ key: `inputs/${input.name}`, url: input.url || null, error: error.message });
+    }
+  }
+
+  archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+  await done;
+  return manifest;
+}
+
+module.exports = { packageFileName, writeTourPackage };
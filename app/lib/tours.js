@@ -0,0 +1,63 @@
+/**
+ * Tour registry
+ *
+ * One record per generated world, shared by the web gallery and the CLI.
+ */
+
+const { createCollection } = require('./store');
+
+const tours = createCollection('tours');
+
+const TOUR_FIELDS = ['name', 'worldId', 'viewUrl', 'inputType', 'model', 'operationId', 'inputs', 'world', 'propertyId', 'ownerId', 'variantGroupId', 'variantLabel'];
+// viewUrl is framed on the public tour page and inputs point at uploads, so
+// both are only ever set by the job worker or the CLI
+const EDITABLE_FIELDS = ['name', 'listing'];
+
+function pick(source, keys) {
+  const out = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) out[key] = source[key];
+  }
+  return out;
+}
+
+/** Newest first. */
+function listTours(filter) {
+  return tours.list(filter).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function getTour(id) {
+  return tours.get(id);
+}
+
+/**
+ * The agent's tour for a World Labs world, or null. worldId is only set from
+ * a completed operation, so this is how /api/world keeps worlds per agent.
+ */
+function getTourForWorld(worldId, ownerId) {
+  if (!worldId || !ownerId) return null;
+  return tours.list(t => t.worldId === worldId && t.ownerId === ownerId)[0] || null;
+}
+
+function createTour(fields) {
+  return tours.insert(pick(fields, TOUR_FIELDS));
+}
+
+function updateTour(id, patch) {
+  return tours.update(id, pick(patch, EDITABLE_FIELDS));
+}
+
+function deleteTour(id) {
+  return tours.remove(id);
+}
+
+module.exports = {
+  TOUR_FIELDS,
+  EDITABLE_FIELDS,
+  listTours,
+  getTour,
+  getTourForWorld,
+  createTour,
+  updateTour,
+  deleteTour,
+};
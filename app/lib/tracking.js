@@ -0,0 +1,40 @@
+/**
+ * Browser client for tour analytics (/api/analytics).
+ *
+ * Each browser gets a random visitor ID in localStorage so repeat views can
+ * be told apart from new visitors. Reports are fire-and-forget: a failed one
+ * never gets in the way of the tour.
+ */
+
+const VISITOR_KEY = 'tour-visitor-id';
+
+function visitorId() {
+  try {
+    let id = localStorage.getItem(VISITOR_KEY);
+    if (!id) {
+      id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+      localStorage.setItem(VISITOR_KEY, id);
+    }
+    return id;
+  } catch {
+    // Storage blocked (e.g. third-party iframe); count the view without an ID
+    return '';
+  }
+}
+
+/**
+ * @param {string} tourId
+ * @param {'view'|'embed'|'share'|'time'} type
+ * @param {{ seconds?: number }} [extra]
+ */
+function trackTourEvent(tourId, type, extra = {}) {
+  fetch('/api/analytics', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ tourId, type, visitorId: visitorId(), ...extra }),
+    // Lets the time-on-page report finish while the page unloads
+    keepalive: true,
+  }).catch(() => {});
+}
+
+module.exports = { trackTourEvent };
@@ -0,0 +1,216 @@
+/**
+ * Chunked uploads
+ *
+ * Media is sent to /api/uploads in chunks and streamed straight to
+ * DATA_DIR/uploads/<id>, so large walkthrough videos never sit in memory.
+ * An upload records how many bytes have arrived; a client that loses its
+ * connection asks for that offset and continues from there. Completed
+ * uploads are pushed to World Labs as media assets when a generation uses
+ * them, and the original file is kept with the tour's inputs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, createCollection } = require('./store');
+const { prepareImage, jpegFileName, dedupe } = require('./images');
+const { PanoramaError, normalizePanorama } = require('./panorama');
+const { checkImages } = require('./quality');
+const { owns } = require('./auth');
+
+const uploads = createCollection('uploads');
+
+const UPLOAD_DIR = path.join(DATA_DIR, 'uploads');
+const CHUNK_SIZE = 4 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = 500 * 1024 * 1024;
+// What the image pipeline and ffmpeg handle; anything else (SVG, HTML...) is refused
+const ACCEPTED_TYPES = new Set([
+  'image/jpeg', 'image/png', 'image/webp', 'image/heic', 'image/heif',
+  'video/mp4', 'video/quicktime', 'video/x-matroska',
+]);
+
+function uploadPath(upload) {
+  return path.join(UPLOAD_DIR, upload.id);
+}
+
+function isComplete(upload) {
+  return upload.received === upload.size;
+}
+
+/**
+ * Validate and register a new upload; returns an error message instead when
+ * the file is not acceptable.
+ * @param {{ fileName: string, mimeType: string, size: number, ownerId?: string }} fields
+ * @returns {{ upload?: object, error?: string }}
+ */
+function createUpload({ fileName, mimeType, size, ownerId }) {
+  if (!fileName) return { error: 'fileName required' };
+  if (!ACCEPTED_TYPES.has(mimeType)) return { error: 'Only JPEG, PNG, WebP or HEIC photos and MP4, MOV or MKV videos are supported' };
+  if (!Number.isInteger(size) || size <= 0) return { error: 'size must be a positive number of bytes' };
+  if (size > MAX_UPLOAD_BYTES) {
+    return { error: `Files must be under ${MAX_UPLOAD_BYTES / 1024 / 1024} MB` };
+  }
+
+  const upload = uploads.insert({ fileName, mimeType, size, received: 0, ownerId });
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  fs.writeFileSync(uploadPath(upload), '');
+  return { upload };
+}
+
+/**
+ * Register a file produced on the server (a trimmed clip, a video keyframe)
+ * as a completed upload. `write` is given the path to write it to.
+ * @param {{ fileName: string, mimeType: string, ownerId?: string, sourceUploadId?: string }} fields
+ * @param {(filePath: string) => Promise<void>} write
+ */
+async function createDerivedUpload(fields, write) {
+  // size stays null (incomplete) until the file is written
+  const upload = uploads.insert({ ...fields, size: null, received: 0 });
+  fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+  try {
+    await write(uploadPath(upload));
+  } catch (error) {
+    removeUpload(upload);
+    throw error;
+  }
+  const { size } = await fs.promises.stat(uploadPath(upload));
+  return uploads.update(upload.id, { size, received: size });
+}
+
+function getUpload(id) {
+  return uploads.get(id);
+}
+
+/**
+ * Stream one chunk to disk at `offset`, which must equal upload.received.
+ * Rejects without advancing the offset if the stream fails or would run
+ * past the declared size; the client resends from the recorded offset.
+ * @param {object} upload
+ * @param {number} offset
+ * @param {import('stream').Readable} stream
+ * @returns {Promise<object>} the updated upload
+ */
+function appendChunk(upload, offset, stream) {
+  return new Promise((resolve, reject) => {
+    let written = 0;
+    let failed = false;
+    const out = fs.createWriteStream(uploadPath(upload), { flags: 'r+', start: offset });
+    const fail = (error) => {
+      if (failed) return;
+      failed = true;
+      stream.unpipe(out);
+      out.destroy();
+      reject(error);
+    };
+
+    stream.on('data', (chunk) => {
+      written += chunk.length;
+      if (offset + written > upload.size) fail(new Error('Chunk runs past the declared file size'));
+    });
+    stream.on('error', fail);
+    stream.on('aborted', () => fail(new Error('Upload interrupted')));
+    out.on('error', fail);
+    out.on('finish', () => {
+      if (!failed) resolve(uploads.update(upload.id, { received: offset + written }));
+    });
+    stream.pipe(out);
+  });
+}
+
+/**
+ * The file to send to World Labs for a completed upload. Images go through
+ * the image pipeline (and carry a hash for deduping), panoramas through
+ * normalizePanorama(); videos are streamed from disk as they are.
+ * @param {object} upload
+ * @param {{ model?: string, panorama?: boolean }} [options]
+ * @returns {Promise<{ data: Buffer | Blob, fileName: string, mimeType: string, hash?: string }>}
+ */
+async function prepareUpload(upload, options) {
+  if (upload.mimeType.startsWith('image/') && options?.panorama) {
+    const { report, ...image } = await normalizePanorama(uploadPath(upload), options);
+    return { ...image, fileName: jpegFileName(upload.fileName) };
+  }
+  if (upload.mimeType.startsWith('image/')) {
+    const image = await prepareImage(uploadPath(upload), options);
+    return { ...image, fileName: jpegFileName(upload.fileName) };
+  }
+  return {
+    data: await fs.openAsBlob(uploadPath(upload)),
+    fileName: upload.fileName,
+    mimeType: upload.mimeType,
+  };
+}
+
+/**
+ * The `{ uploadId, name }` references of a generate request body, or null
+ * when the input for its type is missing.
+ */
+function inputRefs({ inputType, images, video, panorama }) {
+  const refs = { video: [video], panorama: [panorama] }[inputType] || images;
+  return refs && refs.length > 0 && refs[0] ? refs : null;
+}
+
+/**
+ * Completed uploads owned by `user` for the given `{ uploadId }` references,
+ * in order; null if any is missing or unfinished.
+ */
+function resolveUploads(refs, user) {
+  const found = refs.map(ref => getUpload(ref?.uploadId));
+  return found.every(upload => owns(user, upload) && isComplete(upload)) ? found : null;
+}
+
+/**
+ * Everything a generation needs from its uploads: the files to send (repeated
+ * shots dropped), the references that were kept and the pre-flight issues.
+ * Rejects with a message naming the file when an upload cannot be read, or
+ * with the PanoramaError when a panorama can't be normalized.
+ * @param {{ uploadId: string, name?: string }[]} refs
+ * @param {object[]} found Uploads from resolveUploads(), same order as refs
+ * @param {{ model: string, inputType?: string, layoutMode?: string }} options
+ * @returns {Promise<{ files: object[], kept: object[], issues: import('./quality').Issue[] }>}
+ */
+async function prepareInputs(refs, found, { model, inputType, layoutMode }) {
+  const prepared = [];
+  for (const [i, upload] of found.entries()) {
+    try {
+      prepared.push({ file: await prepareUpload(upload, { model, panorama: inputType === 'panorama' }), ref: refs[i] });
+    } catch (error) {
+      if (error instanceof PanoramaError) throw error;
+      throw new Error(`Could not read ${upload.fileName}: ${error.message}`);
+    }
+  }
+
+  const { unique, duplicates } = dedupe(prepared, item => item.file.hash);
+  const issues = duplicates.map(({ ref }) => ({
+    severity: 'warning',
+    check: 'duplicate',
+    input: ref.name,
+    message: `${ref.name} is identical to another photo and will be skipped`,
+  }));
+  if (inputType !== 'video' && unique.length > 0) {
+    const images = unique.map(({ file, ref }) => ({ name: ref.name || file.fileName, data: file.data }));
+    issues.push(...await checkImages(images, { layoutMode }));
+  }
+
+  return { files: unique.map(item => item.file), kept: unique.map(item => item.ref), issues };
+}
+
+function removeUpload(upload) {
+  fs.rmSync(uploadPath(upload), { force: true });
+  return uploads.remove(upload.id);
+}
+
+module.exports = {
+  CHUNK_SIZE,
+  MAX_UPLOAD_BYTES,
+  uploadPath,
+  isComplete,
+  createUpload,
+  createDerivedUpload,
+  getUpload,
+  appendChunk,
+  prepareUpload,
+  inputRefs,
+  resolveUploads,
+  prepareInputs,
+  removeUpload,
+};
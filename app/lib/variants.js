@@ -0,0 +1,108 @@
+/**
+ * Style variants
+ *
+ * A variant group is one room generated several times from the same inputs,
+ * each with its own text guidance ("staged modern", "staged farmhouse"). The
+ * agent compares the results side by side and publishes one; for a property
+ * room, publishing is what links the room to a tour.
+ */
+
+const crypto = require('crypto');
+const { createCollection } = require('./store');
+const { getTour } = require('./tours');
+const { getProperty, addRoom, updateRoom } = require('./properties');
+const { MAX_TEXT_PROMPT_LENGTH } = require('./worldlabs');
+
+const groups = createCollection('variant-groups');
+
+const VARIANT_LIMITS = { min: 2, max: 4 };
+
+/**
+ * Validate the `variants` of a generate request.
+ * @param {{ label?: string, guidance?: string }[]} list
+ * @returns {{ variants?: { label: string, guidance: string }[], error?: string }}
+ */
+function parseVariants(list) {
+  if (!Array.isArray(list) || list.length < VARIANT_LIMITS.min || list.length > VARIANT_LIMITS.max) {
+    return { error: `Compare between ${VARIANT_LIMITS.min} and ${VARIANT_LIMITS.max} variants` };
+  }
+  const variants = list.map((variant, i) => ({
+    label: (variant?.label || '').trim() || `Variant ${i + 1}`,
+    guidance: (variant?.guidance || '').trim(),
+  }));
+  if (variants.some(v => v.guidance.length > MAX_TEXT_PROMPT_LENGTH)) {
+    return { error: `Variant guidance is limited to ${MAX_TEXT_PROMPT_LENGTH} characters` };
+  }
+  return { variants };
+}
+
+function getVariantGroup(id) {
+  return groups.get(id);
+}
+
+/**
+ * @param {{ name: string, inputType: string, model: string, variants: { label: string, guidance: string }[], propertyId?: string, roomName?: string, ownerId?: string }} fields
+ */
+function createVariantGroup({ variants, ...fields }) {
+  return groups.insert({
+    ...fields,
+    variants: variants.map(v => ({ id: crypto.randomUUID(), ...v, jobId: null, tourId: null, error: null })),
+    publishedVariantId: null,
+    roomId: null,
+  });
+}
+
+function updateVariant(groupId, variantId, patch) {
+  const group = groups.get(groupId);
+  if (!group) return null;
+  return groups.update(groupId, {
+    variants: group.variants.map(v => (v.id === variantId ? { ...v, ...patch } : v)),
+  });
+}
+
+/** Link the tour produced by a finished job to the variant waiting on it. */
+function attachVariantTour(groupId, jobId, tourId) {
+  const group = groups.get(groupId);
+  const variant = group?.variants.find(v => v.jobId === jobId);
+  return variant ? updateVariant(groupId, variant.id, { tourId }) : null;
+}
+
+/**
+ * Make one finished variant the published world. For a property room this
+ * adds the room on first publish and relinks it afterwards.
+ * @returns {{ group?: object, error?: string }}
+ */
+function publishVariant(groupId, variantId) {
+  const group = groups.get(groupId);
+  const variant = group?.variants.find(v => v.id === variantId);
+  if (!variant) return { error: 'Variant not found' };
+  if (!variant.tourId) return { error: 'This variant has not finished generating' };
+
+  let { roomId } = group;
+  if (group.propertyId && getProperty(group.propertyId)) {
+    const property = roomId ? updateRoom(group.propertyId, roomId, { tourId: variant.tourId }) : null;
+    if (!property?.rooms.some(r => r.id === roomId)) {
+      roomId = addRoom(group.propertyId, { name: group.roomName || group.name, tourId: variant.tourId }).id;
+    }
+  }
+  return { group: groups.update(groupId, { publishedVariantId: variantId, roomId }) };
+}
+
+/** Group with each variant's tour record embedded, for display. */
+function withVariantTours(group) {
+  return {
+    ...group,
+    variants: group.variants.map(v => ({ ...v, tour: v.tourId ? getTour(v.tourId) : null })),
+  };
+}
+
+module.exports = {
+  VARIANT_LIMITS,
+  parseVariants,
+  getVariantGroup,
+  createVariantGroup,
+  updateVariant,
+  attachVariantTour,
+  publishVariant,
+  withVariantTours,
+};
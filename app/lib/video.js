@@ -0,0 +1,125 @@
+/**
+ * Video tools for walkthrough clips
+ *
+ * Trims a clip to a start/end range, or turns it into a handful of sharp,
+ * evenly spaced keyframes for a multi-image auto-layout prompt. Uses the
+ * ffmpeg/ffprobe binaries shipped in @ffmpeg-installer / @ffprobe-installer.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const ffprobePath = require('@ffprobe-installer/ffprobe').path;
+const { measureImage } = require('./quality');
+
+const run = promisify(execFile);
+
+const MIN_CLIP_SECONDS = 1;
+const KEYFRAME_LIMITS = { min: 2, max: 8 }; // auto layout takes up to 8 images
+// Candidate frames sampled around each keyframe position; the sharpest wins
+const CANDIDATE_WINDOW_SECONDS = 1;
+const CANDIDATE_FPS = 6;
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<{ duration: number, width: number, height: number }>}
+ */
+async function probeVideo(filePath) {
+  const { stdout } = await run(ffprobePath, [
+    '-v', 'error',
+    '-select_streams', 'v:0',
+    '-show_entries', 'stream=width,height:format=duration',
+    '-of', 'json',
+    filePath,
+  ]);
+  const info = JSON.parse(stdout);
+  const stream = info.streams?.[0];
+  if (!stream) throw new Error('No video stream found');
+  return { duration: Number(info.format.duration), width: stream.width, height: stream.height };
+}
+
+/**
+ * Check a start/end range (seconds) against the clip; returns an error
+ * message, or null when it is usable.
+ */
+function rangeError({ start, end }, duration) {
+  if (!(start >= 0) || !(end > start)) return 'start and end must be seconds with start < end';
+  if (end - start < MIN_CLIP_SECONDS) return `The range must be at least ${MIN_CLIP_SECONDS}s long`;
+  if (start >= duration) return `start is past the end of the ${duration.toFixed(1)}s clip`;
+  return null;
+}
+
+/**
+ * Re-encode [start, end] of a clip to an MP4 at `outputPath`. Re-encoding
+ * (rather than stream copy) makes the cut frame-accurate.
+ */
+async function trimVideo(inputPath, outputPath, { start, end }) {
+  await run(ffmpegPath, [
+    '-v', 'error', '-y',
+    '-ss', String(start),
+    '-i', inputPath,
+    '-t', String(end - start),
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20',
+    '-c:a', 'aac',
+    '-movflags', '+faststart',
+    '-f', 'mp4', // upload files have no extension to infer it from
+    outputPath,
+  ], { maxBuffer: 1024 * 1024 });
+}
+
+/**
+ * Pick `count` evenly spaced frames from [start, end], choosing the sharpest
+ * of a few candidates around each position to avoid motion blur.
+ * @returns {Promise<{ time: number, data: Buffer }[]>} JPEG frames in clip order
+ */
+async function extractKeyframes(inputPath, { start, end, count }) {
+  const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'keyframes-'));
+  try {
+    const segment = (end - start) / count;
+    const window = Math.min(CANDIDATE_WINDOW_SECONDS, segment);
+    const frames = [];
+
+    for (let i = 0; i < count; i++) {
+      const center = start + segment * (i + 0.5);
+      const from = Math.max(start, center - window / 2);
+      const prefix = path.join(tmpDir, `k${i}_`);
+      await run(ffmpegPath, [
+        '-v', 'error', '-y',
+        '-ss', String(from),
+        '-i', inputPath,
+        '-t', String(window),
+        '-vf', `fps=${CANDIDATE_FPS}`,
+        '-q:v', '2',
+        `${prefix}%02d.jpg`,
+      ]);
+
+      const candidates = (await fs.promises.readdir(tmpDir))
+        .filter(file => file.startsWith(path.basename(prefix)))
+        .sort();
+      let best = null;
+      for (const [index, file] of candidates.entries()) {
+        const data = await fs.promises.readFile(path.join(tmpDir, file));
+        const { sharpness } = await measureImage(data);
+        if (!best || sharpness > best.sharpness) {
+          best = { time: from + index / CANDIDATE_FPS, data, sharpness };
+        }
+      }
+      if (best) frames.push({ time: best.time, data: best.data });
+    }
+
+    return frames;
+  } finally {
+    await fs.promises.rm(tmpDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  KEYFRAME_LIMITS,
+  probeVideo,
+  rangeError,
+  trimVideo,
+  extractKeyframes,
+};
@@ -0,0 +1,328 @@
+/**
+ * World Labs API client
+ *
+ * Shared by the CLI (generate-3d-tour.js) and the Next.js API routes so both
+ * send the same payloads to the same endpoints.
+ *
+ * Configuration comes from the environment unless passed explicitly:
+ *   WORLDLABS_API_KEY   API key sent as WLT-Api-Key
+ *   WORLDLABS_API_BASE  Base URL, e.g. http://localhost:4010/marble/v1 for a local stand-in
+ *
+ * Failed calls are retried with exponential backoff and jitter, honoring
+ * Retry-After. worlds:generate is only retried when the request provably was
+ * not processed (429 or a failed connection), so a retry never starts a
+ * second paid generation.
+ */
+
+const DEFAULT_API_BASE = 'https://api.worldlabs.ai/marble/v1';
+
+const MODELS = {
+  standard: 'Marble 0.1-plus',
+  draft: 'Marble 0.1-mini',
+};
+
+// Longest text_prompt accepted for a text world
+const MAX_TEXT_PROMPT_LENGTH = 2000;
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png',
+  '.webp': 'image/webp', '.mp4': 'video/mp4', '.mov': 'video/quicktime',
+  '.mkv': 'video/x-matroska',
+};
+
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504]);
+// Connection failures where nothing reached the server
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+const RETRY_DEFAULTS = { retries: 4, baseDelayMs: 500, maxDelayMs: 30000 };
+
+class WorldLabsError extends Error {
+  constructor(status, body, retryAfterMs = null) {
+    super(`API ${status}: ${typeof body === 'string' ? body : JSON.stringify(body)}`);
+    this.name = 'WorldLabsError';
+    this.status = status;
+    this.body = body;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Whether a failed call may be retried. Non-idempotent calls (generation) are
+ * only retryable when the server cannot have acted on them.
+ * @param {Error} error
+ * @param {{ idempotent?: boolean }} [options]
+ */
+function isRetryable(error, { idempotent = true } = {}) {
+  if (error instanceof WorldLabsError) {
+    if (error.status === 429) return true;
+    return idempotent && RETRYABLE_STATUS.has(error.status);
+  }
+  // Dual-stack connects fail with an AggregateError holding the per-address errors
+  const code = error.cause?.code || error.cause?.errors?.[0]?.code || error.code;
+  if (NOT_SENT_CODES.has(code)) return true;
+  // fetch() reports network failures as TypeError('fetch failed')
+  return idempotent && (error.name === 'TypeError' || Boolean(code));
+}
+
+/** Retry-After as milliseconds, from either delta-seconds or an HTTP date. */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function backoffDelay(attempt, error, { baseDelayMs, maxDelayMs }) {
+  if (error.retryAfterMs != null) return error.retryAfterMs;
+  // Full jitter
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+/**
+ * @typedef {{ source: 'data_base64', data_base64: string }
+ *   | { source: 'media_asset', media_asset_id: string }
+ *   | { source: 'uri', uri: string }} Content
+ */
+
+/** Strip a `data:...;base64,` prefix if present. */
+function base64Content(data) {
+  return { source: 'data_base64', data_base64: data.split(',')[1] || data };
+}
+
+function mediaAssetContent(mediaAssetId) {
+  return { source: 'media_asset', media_asset_id: mediaAssetId };
+}
+
+function uriContent(uri) {
+  return { source: 'uri', uri };
+}
+
+function textPrompt(text) {
+  return { type: 'text', text_prompt: text };
+}
+
+/** @param {Content} content */
+function imagePrompt(content) {
+  return { type: 'image', image_prompt: content };
+}
+
+/**
+ * @param {{ content: Content, azimuth?: number }[]} items
+ *   Omit azimuth on every item to let the API position the images (auto layout).
+ */
+function multiImagePrompt(items) {
+  return {
+    type: 'multi-image',
+    multi_image_prompt: items.map(({ content, azimuth }) => (
+      azimuth === undefined ? { content } : { azimuth, content }
+    )),
+  };
+}
+
+/** @param {Content} content */
+function videoPrompt(content) {
+  return { type: 'video', video_prompt: content };
+}
+
+/** @param {Content} content */
+function panoramaPrompt(content) {
+  return { type: 'panorama', panorama_prompt: content };
+}
+
+/**
+ * Add text guidance (e.g. a staging style) to a world prompt. Media prompts
+ * take it as their text_prompt; a text prompt gets it appended.
+ * @param {object} worldPrompt
+ * @param {string} [guidance]
+ */
+function withTextGuidance(worldPrompt, guidance) {
+  if (!guidance) return worldPrompt;
+  if (worldPrompt.type === 'text') {
+    return { ...worldPrompt, text_prompt: `${worldPrompt.text_prompt}\n\n${guidance}` };
+  }
+  return { ...worldPrompt, text_prompt: guidance };
+}
+
+/** World ID from a completed operation. */
+function worldIdFromOperation(operation) {
+  return operation.response?.world_id || operation.response?.id;
+}
+
+/** Best viewer URL for a world, falling back to the platform page. */
+function viewUrlForWorld(worldId, world) {
+  return world?.world_marble_url || `https://platform.worldlabs.ai/worlds/${worldId}`;
+}
+
+// World Labs serves viewers and world assets from these hosts and their subdomains
+const WORLDLABS_HOSTS = ['worldlabs.ai'];
+
+function isHttpsOn(url, hosts) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch {
+    return false;
+  }
+}
+
+/** Whether `url` is a World Labs page that may be framed as a tour viewer. */
+function isViewerUrl(url) {
+  return isHttpsOn(url, WORLDLABS_HOSTS);
+}
+
+/**
+ * Whether a world asset URL may be downloaded by the server: https on World
+ * Labs, or on a CDN host listed in WORLDLABS_ASSET_HOSTS (comma-separated).
+ * Anything else could point the server at internal addresses.
+ */
+function isAssetUrl(url) {
+  const extra = String(process.env.WORLDLABS_ASSET_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+  return isHttpsOn(url, [...WORLDLABS_HOSTS, ...extra]);
+}
+
+/** Preview image of a fetched world, if World Labs returned one. */
+function thumbnailUrlForWorld(world) {
+  return world?.assets?.thumbnail_url || world?.assets?.imagery?.pano_url || null;
+}
+
+function mimeTypeFor(fileName) {
+  const ext = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+  return MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+/**
+ * @param {{
+ *   apiKey?: string,
+ *   baseUrl?: string,
+ *   retry?: { retries?: number, baseDelayMs?: number, maxDelayMs?: number },
+ *   onRetry?: (info: { error: Error, attempt: number, delayMs: number, path: string }) => void,
+ * }} [options]
+ */
+function createClient({
+  apiKey = process.env.WORLDLABS_API_KEY,
+  baseUrl = process.env.WORLDLABS_API_BASE || DEFAULT_API_BASE,
+  retry = {},
+  onRetry = () => {},
+} = {}) {
+  const base = baseUrl.replace(/\/+$/, '');
+  const retryOptions = { ...RETRY_DEFAULTS, ...retry };
+
+  async function withRetry(label, idempotent, attemptFn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await attemptFn();
+      } catch (error) {
+        if (attempt >= retryOptions.retries || !isRetryable(error, { idempotent })) throw error;
+        const delayMs = backoffDelay(attempt, error, retryOptions);
+        onRetry({ error, attempt: attempt + 1, delayMs, path: label });
+        await new Promise(r => setTimeout(r, delayMs));
+      }
+    }
+  }
+
+  async function send(url, options) {
+    const response = await fetch(url, options);
+    const text = await response.text();
+    let body;
+    try { body = JSON.parse(text); } catch { body = text; }
+    if (!response.ok) {
+      throw new WorldLabsError(response.status, body, parseRetryAfter(response.headers.get('retry-after')));
+    }
+    return body;
+  }
+
+  function request(path, { idempotent = true, ...options } = {}) {
+    return withRetry(path, idempotent, () => send(`${base}/${path}`, {
+      ...options,
+      headers: {
+        'WLT-Api-Key': apiKey,
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    }));
+  }
+
+  return {
+    apiKey,
+    baseUrl: base,
+
+    /**
+     * Start a world generation.
+     * @param {{ worldPrompt: object, displayName?: string, model?: string }} params
+     * @returns {Promise<{ operation_id: string }>}
+     */
+    generateWorld({ worldPrompt, displayName = 'Property Tour', model = MODELS.standard }) {
+      return request('worlds:generate', {
+        method: 'POST',
+        idempotent: false,
+        body: JSON.stringify({
+          world_prompt: worldPrompt,
+          display_name: displayName,
+          model,
+        }),
+      });
+    },
+
+    /**
+     * @returns {Promise<{ done: boolean, error?: object, response?: object, metadata?: { progress_pct?: number } }>}
+     */
+    getOperation(operationId) {
+      return request(`operations/${encodeURIComponent(operationId)}`);
+    },
+
+    getWorld(worldId) {
+      return request(`worlds/${encodeURIComponent(worldId)}`);
+    },
+
+    /**
+     * Upload a file as a media asset and return its ID for use with mediaAssetContent().
+     * @param {{ data: Buffer | Blob, fileName: string, mimeType?: string }} file
+     * @returns {Promise<string>}
+     */
+    async uploadMedia({ data, fileName, mimeType = mimeTypeFor(fileName) }) {
+      const extension = fileName.slice(fileName.lastIndexOf('.') + 1).toLowerCase();
+      // Safe to retry: a duplicate prepare only leaves an unused asset behind
+      const prepared = await request('media-assets:prepare_upload', {
+        method: 'POST',
+        body: JSON.stringify({
+          file_name: fileName,
+          kind: mimeType.startsWith('video/') ? 'video' : 'image',
+          extension,
+        }),
+      });
+
+      const { upload_url: uploadUrl, upload_method: method = 'PUT', required_headers: headers = {} } = prepared.upload_info;
+      await withRetry('media upload', true, () => send(uploadUrl, {
+        method,
+        headers: { 'Content-Type': mimeType, ...headers },
+        body: data,
+      }));
+      return prepared.media_asset.media_asset_id;
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_API_BASE,
+  MODELS,
+  MAX_TEXT_PROMPT_LENGTH,
+  WorldLabsError,
+  isRetryable,
+  createClient,
+  base64Content,
+  mediaAssetContent,
+  uriContent,
+  textPrompt,
+  imagePrompt,
+  multiImagePrompt,
+  videoPrompt,
+  panoramaPrompt,
+  withTextGuidance,
+  worldIdFromOperation,
+  viewUrlForWorld,
+  isViewerUrl,
+  isAssetUrl,
+  thumbnailUrlForWorld,
+  mimeTypeFor,
+};
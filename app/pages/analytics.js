@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Shell from '../components/Shell';
+import DailyChart from '../components/DailyChart';
+
+const RANGES = [7, 30, 90];
+const METRICS = [
+  { key: 'views', label: 'Views' },
+  { key: 'uniqueVisitors', label: 'Visitors' },
+  { key: 'embedLoads', label: 'Embed loads' },
+  { key: 'shares', label: 'Shares' },
+  { key: 'avgSeconds', label: 'Avg. time' },
+];
+
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+function formatMetric(key, value) {
+  return key === 'avgSeconds' ? formatDuration(value) : value.toLocaleString();
+}
+
+export default function Analytics() {
+  const router = useRouter();
+  const { tourId } = router.query;
+  const [days, setDays] = useState(30);
+  const [metric, setMetric] = useState('views');
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    const params = new URLSearchParams({ days: String(days) });
+    if (tourId) params.set('tourId', tourId);
+    fetch(`/api/analytics?${params}`)
+      .then(res => res.json())
+      .then(data => data.error ? setError(data.error) : setSummary(data))
+      .catch(e => setError(e.message));
+  }, [router.isReady, tourId, days]);
+
+  const tour = summary?.tour;
+
+  return (
+    <Shell title="📈 Analytics" subtitle={tour ? tour.name : 'Who is viewing your tours'}>
+      <style jsx>{`
+        .toolbar { display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 16px; font-size: 0.85rem; }
+        .toolbar :global(a) { color: #667eea; text-decoration: none; }
+        .pills { display: flex; gap: 6px; flex-wrap: wrap; }
+        .pills button {
+          padding: 7px 12px; border-radius: 10px; border: 1px solid rgba(255,255,255,0.08);
+          background: rgba(255,255,255,0.03); color: #6b6b80; font-size: 0.8rem; cursor: pointer;
+        }
+        .pills button.active { border-color: rgba(102,126,234,0.4); color: #e8e8ef; }
+        .stats { display: grid; grid-template-columns: repeat(5, 1fr); gap: 8px; }
+        .stat { text-align: center; }
+        .stat-value { font-size: 1.3rem; font-weight: 600; }
+        .stat-label { font-size: 0.75rem; color: #6b6b80; }
+        .note { margin-top: 12px; }
+        .note a { color: #667eea; text-decoration: none; }
+        h3 { font-size: 0.9rem; color: #667eea; margin-bottom: 12px; }
+        .chart-head { display: flex; justify-content: space-between; align-items: center; gap: 8px; margin-bottom: 12px; flex-wrap: wrap; }
+        .chart-head h3 { margin: 0; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+        th { text-align: left; color: #6b6b80; font-weight: 500; padding: 6px 0; }
+        td { padding: 8px 0; border-top: 1px solid rgba(255,255,255,0.05); color: #c0c0d8; }
+        td :global(a) { color: #c0c0d8; }
+        .num { text-align: right; }
+        @media (max-width: 560px) { .stats { grid-template-columns: repeat(3, 1fr); } }
+      `}</style>
+
+      {error && <p className="error-msg">{error}</p>}
+
+      <div className="toolbar">
+        {tourId ? <Link href="/analytics">← All tours</Link> : <span className="muted">All your tours</span>}
+        <div className="pills">
+          {RANGES.map(range => (
+            <button key={range} className={days === range ? 'active' : ''} onClick={() => setDays(range)}>{range} days</button>
+          ))}
+        </div>
+      </div>
+
+      {summary && (
+        <>
+          <div className="glass">
+            <div className="stats">
+              {METRICS.map(m => (
+                <div key={m.key} className="stat">
+                  <div className="stat-value">{formatMetric(m.key, summary.totals[m.key])}</div>
+                  <div className="stat-label">{m.label}</div>
+                </div>
+              ))}
+            </div>
+            <p className="muted note">
+              All time{tour && <> · <a href={`/tour/${tour.id}`} target="_blank" rel="noopener">Open tour page ↗</a></>}
+            </p>
+          </div>
+
+          <div className="glass">
+            <div className="chart-head">
+              <h3>Last {summary.days} days</h3>
+              <div className="pills">
+                {METRICS.map(m => (
+                  <button key={m.key} className={metric === m.key ? 'active' : ''} onClick={() => setMetric(m.key)}>{m.label}</button>
+                ))}
+              </div>
+            </div>
+            <DailyChart daily={summary.daily} metric={metric} format={(value) => formatMetric(metric, value)} />
+          </div>
+
+          {!tourId && (
+            <div className="glass">
+              <h3>By Tour</h3>
+              {summary.byTour.length === 0 ? (
+                <p className="muted">No views yet. Share your tour pages to start collecting stats.</p>
+              ) : (
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Tour</th>
+                      {METRICS.map(m => <th key={m.key} className="num">{m.label}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.byTour.map(row => (
+                      <tr key={row.tourId}>
+                        <td><Link href={`/analytics?tourId=${encodeURIComponent(row.tourId)}`}>{row.name}</Link></td>
+                        {METRICS.map(m => <td key={m.key} className="num">{formatMetric(m.key, row[m.key])}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </Shell>
+  );
+}
@@ -0,0 +1,50 @@
+import { recordEvent, analyticsSummary } from '../../lib/analytics';
+import { getTour } from '../../lib/tours';
+import { withAuth, owns, getSessionUser } from '../../lib/auth';
+
+const MAX_DAYS = 365;
+
+// Reports are a handful of short fields
+export const config = {
+  api: { bodyParser: { sizeLimit: '1kb' } },
+};
+
+// Totals for all of the agent's tours, or one of them with ?tourId=
+const summaryHandler = withAuth(async function handler(req, res) {
+  const { tourId } = req.query;
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_DAYS);
+  if (tourId && !owns(req.user, getTour(tourId))) {
+    return res.status(404).json({ error: 'Tour not found' });
+  }
+
+  const summary = analyticsSummary(e => e.ownerId === req.user.id && (!tourId || e.tourId === tourId), { days });
+  summary.byTour = summary.byTour.map(row => ({ ...row, name: getTour(row.tourId)?.name || 'Deleted tour' }));
+  res.status(200).json({ ...summary, days, tour: tourId ? { id: tourId, name: getTour(tourId).name } : null });
+});
+
+// The hosted tour page reports events without a session
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    return summaryHandler(req, res);
+  }
+
+  if (req.method === 'POST') {
+    const { tourId, type, visitorId, seconds } = req.body || {};
+    // An agent previewing their own tour is not an audience
+    const user = getSessionUser(req);
+    if (user && owns(user, getTour(tourId))) return res.status(204).end();
+    try {
+      const { error, limited } = recordEvent({
+        tourId, type, visitorId, seconds: Number(seconds), address: req.socket.remoteAddress,
+      });
+      if (limited) return res.status(429).json({ error });
+      if (error) return res.status(400).json({ error });
+      return res.status(204).end();
+    } catch (error) {
+      console.error('Record event error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+}
@@ -0,0 +1,21 @@
+import { authenticate, createSession, sessionCookie, publicUser } from '../../../lib/auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { email, password } = req.body || {};
+  if (!email || !password) {
+    return res.status(400).json({ error: 'email and password required' });
+  }
+
+  // Non-string credentials can't match anyone; answer as for a wrong password
+  const user = typeof email === 'string' && typeof password === 'string' ? authenticate(email, password) : null;
+  if (!user) {
+    return res.status(401).json({ error: 'Incorrect email or password' });
+  }
+
+  res.setHeader('Set-Cookie', sessionCookie(createSession(user.id)));
+  res.status(200).json({ user: publicUser(user) });
+}
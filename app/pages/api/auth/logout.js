@@ -0,0 +1,11 @@
+import { destroySession, sessionCookie } from '../../../lib/auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  destroySession(req);
+  res.setHeader('Set-Cookie', sessionCookie(null));
+  res.status(204).end();
+}
@@ -0,0 +1,19 @@
+import { getSessionUser, publicUser, signupAllowed, updateProfile } from '../../../lib/auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const user = getSessionUser(req);
+  if (!user) {
+    return res.status(401).json({ error: 'Sign in required', signupAllowed: signupAllowed() });
+  }
+
+  if (req.method === 'PATCH') {
+    const { user: updated, error } = updateProfile(user.id, req.body || {});
+    if (error) return res.status(400).json({ error });
+    return res.status(200).json({ user: publicUser(updated) });
+  }
+  res.status(200).json({ user: publicUser(user) });
+}
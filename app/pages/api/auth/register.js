@@ -0,0 +1,36 @@
+import {
+  signupAllowed,
+  signupError,
+  findUserByEmail,
+  createUser,
+  createSession,
+  sessionCookie,
+  publicUser,
+} from '../../../lib/auth';
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { email, password, name } = req.body || {};
+  const problem = signupError({ email, password });
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+  if (!signupAllowed()) {
+    return res.status(403).json({ error: 'Signup is closed. Ask an admin to enable ALLOW_SIGNUP.' });
+  }
+  if (findUserByEmail(email)) {
+    return res.status(409).json({ error: 'An account with that email already exists' });
+  }
+
+  try {
+    const user = createUser({ email, password, name });
+    res.setHeader('Set-Cookie', sessionCookie(createSession(user.id)));
+    res.status(201).json({ user: publicUser(user) });
+  } catch (error) {
+    console.error('Register error:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
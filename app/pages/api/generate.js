@@ -1,125 +1,226 @@
-const API_KEY = process.env.WORLDLABS_API_KEY;
-const API_BASE = 'https://api.worldlabs.ai/marble/v1';
-
-async function apiFetch(path, options = {}) {
-  const response = await fetch(`${API_BASE}/${path}`, {
-    ...options,
-    headers: {
-      'WLT-Api-Key': API_KEY,
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-  });
-  const body = await response.json();
-  if (!response.ok) {
-    throw new Error(`API ${response.status}: ${JSON.stringify(body)}`);
-  }
-  return body;
-}
+import {
+  MODELS,
+  WorldLabsError,
+  createClient,
+  MAX_TEXT_PROMPT_LENGTH,
+  mediaAssetContent,
+  textPrompt,
+  imagePrompt,
+  multiImagePrompt,
+  videoPrompt,
+  panoramaPrompt,
+  withTextGuidance,
+} from '../../lib/worldlabs';
+import { createJob } from '../../lib/jobs';
+import { getProperty, addRoom } from '../../lib/properties';
+import { estimateCost, formatUsd } from '../../lib/pricing';
+import { checkBudget, recordSpend } from '../../lib/ledger';
+import { withAuth, owns } from '../../lib/auth';
+import { inputRefs, resolveUploads, prepareInputs } from '../../lib/uploads';
+import { hasBlockingIssues } from '../../lib/quality';
+import { parseVariants, createVariantGroup, updateVariant } from '../../lib/variants';
+import { imageAzimuth, resolveLayout } from '../../lib/layout';
 
-export const config = {
-  api: { bodyParser: { sizeLimit: '100mb' } }
-};
+const client = createClient({
+  onRetry: ({ error, attempt, path }) => console.warn(`World Labs ${path} retry ${attempt}: ${error.message}`),
+});
 
-export default async function handler(req, res) {
+// Metadata about the submitted inputs, saved with the job and tour (no file data)
+function describeInputs({ inputType, text, images, video, panorama }) {
+  if (inputType === 'text') return [{ text }];
+  if (inputType === 'video') return [{ name: video.name, type: 'video', uploadId: video.uploadId }];
+  if (inputType === 'panorama') return [{ name: panorama.name, type: 'panorama', uploadId: panorama.uploadId }];
+  return images.map(image => ({ name: image.name, type: image.type, azimuth: imageAzimuth(image) ?? undefined, uploadId: image.uploadId }));
+}
+
+export default withAuth(async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  if (!API_KEY) {
+  if (!client.apiKey) {
     return res.status(500).json({ error: 'World Labs API key not configured' });
   }
 
   try {
-    const { images, name, mode, inputType, layoutMode, video, panorama } = req.body;
-    const model = mode === 'draft' ? 'Marble 0.1-mini' : 'Marble 0.1-plus';
+    const { name, mode, inputType, propertyId, roomName } = req.body;
+    const property = propertyId ? getProperty(propertyId) : null;
+    if (propertyId && !owns(req.user, property)) {
+      return res.status(400).json({ error: 'Property not found' });
+    }
+    const model = mode === 'draft' ? MODELS.draft : MODELS.standard;
+
+    // Text prompts have no uploads; everything below runs on an empty set
+    const text = inputType === 'text' ? (req.body.text || '').trim() : null;
+    if (inputType === 'text' && !text) {
+      return res.status(400).json({ error: 'No text prompt provided' });
+    }
+    if (text?.length > MAX_TEXT_PROMPT_LENGTH) {
+      return res.status(400).json({ error: `Text prompts are limited to ${MAX_TEXT_PROMPT_LENGTH} characters` });
+    }
+    const refs = inputType === 'text' ? [] : inputRefs(req.body);
+    if (!refs) {
+      const what = { video: 'video', panorama: 'panorama' }[inputType] || 'images';
+      return res.status(400).json({ error: `No ${what} provided` });
+    }
+    // Only photo sets have a layout; one photo or a video is placed as is
+    const layout = refs.length > 1 ? resolveLayout(req.body.layoutMode, refs) : { layoutMode: 'auto' };
+    if (layout.error) {
+      return res.status(400).json({ error: layout.error });
+    }
+    const { layoutMode } = layout;
+    const uploads = resolveUploads(refs, req.user);
+    if (!uploads) {
+      return res.status(400).json({ error: 'Upload missing or incomplete' });
+    }
+    // Style variants: the same inputs generated once per { label, guidance }
+    const { variants, error: variantError } = req.body.variants ? parseVariants(req.body.variants) : {};
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+
+    const cost = estimateCost({ model, inputType: inputType || 'images' });
+    const worldCount = variants ? variants.length : 1;
+    const budget = checkBudget(cost.usd * worldCount);
+    if (!budget.ok) {
+      const what = variants ? `these ${worldCount} variants cost` : 'this tour costs';
+      return res.status(402).json({
+        error: `Monthly budget of ${formatUsd(budget.budgetUsd)} would be exceeded (${formatUsd(budget.remainingUsd)} left, ${what} ${formatUsd(cost.usd * worldCount)})`,
+      });
+    }
+
+    // Photos go through the shared image pipeline and pre-flight checks;
+    // repeated shots are sent once
+    let inputs;
+    try {
+      inputs = await prepareInputs(refs, uploads, { model, inputType, layoutMode });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const { files, kept, issues } = inputs;
+    if (hasBlockingIssues(issues)) {
+      return res.status(422).json({ error: 'Inputs failed quality checks', issues });
+    }
+
+    // Files go to World Labs as media assets; the prompt references their IDs
+    const contents = await Promise.all(files.map(async (file) => (
+      mediaAssetContent(await client.uploadMedia(file))
+    )));
 
     let worldPrompt;
 
-    if (inputType === 'video') {
-      // Video prompt
-      if (!video || !video.data) {
-        return res.status(400).json({ error: 'No video data provided' });
-      }
-      const base64 = video.data.split(',')[1] || video.data;
-      worldPrompt = {
-        type: 'video',
-        video_prompt: {
-          source: 'data_base64',
-          data_base64: base64,
-        },
-      };
+    if (inputType === 'text') {
+      worldPrompt = textPrompt(text);
+    } else if (inputType === 'video') {
+      worldPrompt = videoPrompt(contents[0]);
     } else if (inputType === 'panorama') {
-      // Panorama prompt
-      if (!panorama || !panorama.data) {
-        return res.status(400).json({ error: 'No panorama data provided' });
-      }
-      const base64 = panorama.data.split(',')[1] || panorama.data;
-      worldPrompt = {
-        type: 'panorama',
-        panorama_prompt: {
-          source: 'data_base64',
-          data_base64: base64,
-        },
-      };
+      worldPrompt = panoramaPrompt(contents[0]);
+    } else if (kept.length === 1) {
+      worldPrompt = imagePrompt(contents[0]);
+    } else if (layoutMode === 'auto') {
+      // Auto Layout — no azimuth, API auto-determines positioning
+      worldPrompt = multiImagePrompt(contents.map((content) => ({ content })));
     } else {
-      // Image-based prompts
-      if (!images || images.length === 0) {
-        return res.status(400).json({ error: 'No images provided' });
-      }
+      // Direction Control — with azimuth
+      worldPrompt = multiImagePrompt(kept.map((img, i) => ({
+        azimuth: imageAzimuth(img),
+        content: contents[i],
+      })));
+    }
+
+    const displayName = name || 'Property Tour';
+    const group = variants && createVariantGroup({
+      name: displayName,
+      inputType: inputType || 'images',
+      model,
+      variants,
+      propertyId: property?.id,
+      roomName,
+      ownerId: req.user.id,
+    });
 
-      if (images.length === 1) {
-        const base64 = images[0].data.split(',')[1];
-        worldPrompt = {
-          type: 'image',
-          image_prompt: {
-            source: 'data_base64',
-            data_base64: base64,
-          },
-        };
-      } else if (layoutMode === 'auto') {
-        // Auto Layout — no azimuth, API auto-determines positioning
-        worldPrompt = {
-          type: 'multi-image',
-          multi_image_prompt: images.map((img) => ({
-            content: {
-              source: 'data_base64',
-              data_base64: img.data.split(',')[1],
-            },
-          })),
-        };
-      } else {
-        // Direction Control — with azimuth
-        const directions = { front: 0, right: 90, back: 180, left: 270 };
-        worldPrompt = {
-          type: 'multi-image',
-          multi_image_prompt: images.map((img) => ({
-            azimuth: img.direction ? directions[img.direction] : 0,
-            content: {
-              source: 'data_base64',
-              data_base64: img.data.split(',')[1],
-            },
-          })),
-        };
+    // One world per variant (or just one); a variant's room is only added
+    // to the property once it is published
+    const startWorld = async (variant) => {
+      const result = await client.generateWorld({
+        worldPrompt: withTextGuidance(worldPrompt, variant?.guidance),
+        displayName: variant ? `${displayName} — ${variant.label}` : displayName,
+        model,
+      });
+
+      const job = createJob({
+        operationId: result.operation_id,
+        name: displayName,
+        inputType: inputType || 'images',
+        model,
+        inputs: describeInputs({ ...req.body, text, images: kept }),
+        propertyId: property?.id,
+        ownerId: req.user.id,
+        variantGroupId: group?.id,
+        variantLabel: variant?.label,
+      });
+      if (property && !variant) {
+        addRoom(property.id, { name: roomName || name || 'Room', jobId: job.id });
       }
-    }
+      if (variant) {
+        updateVariant(group.id, variant.id, { jobId: job.id });
+      }
+      recordSpend({
+        operationId: result.operation_id,
+        agent: req.user.email,
+        ownerId: req.user.id,
+        model,
+        inputType: inputType || 'images',
+        ...cost,
+        source: 'web',
+        jobId: job.id,
+        propertyId: property?.id,
+      });
+      return { jobId: job.id, operationId: result.operation_id, variantId: variant?.id };
+    };
 
-    const result = await apiFetch('worlds:generate', {
-      method: 'POST',
-      body: JSON.stringify({
-        world_prompt: worldPrompt,
-        display_name: name || 'Property Tour',
+    if (!group) {
+      const { jobId, operationId } = await startWorld(null);
+      return res.status(200).json({
+        jobId,
+        operationId,
         model,
-      }),
-    });
+        cost,
+        warnings: issues,
+        message: 'Generation started',
+      });
+    }
+
+    // A variant that fails to start is marked on the group; the ones
+    // already running (and paid for) are kept
+    const started = [];
+    let lastError = null;
+    for (const variant of group.variants) {
+      try {
+        started.push(await startWorld(variant));
+      } catch (error) {
+        console.error(`Variant "${variant.label}" failed to start:`, error);
+        updateVariant(group.id, variant.id, { error: error.message });
+        lastError = error;
+      }
+    }
+    if (started.length === 0) throw lastError;
 
     res.status(200).json({
-      operationId: result.operation_id,
-      message: 'Generation started',
+      groupId: group.id,
+      jobs: started,
+      model,
+      cost: { credits: cost.credits * started.length, usd: Math.round(cost.usd * started.length * 100) / 100 },
+      warnings: issues,
+      message: `${started.length} of ${group.variants.length} variants started`,
     });
 
   } catch (error) {
     console.error('Generate error:', error);
+    // Still rate limited after retries: tell the browser to try again later
+    if (error instanceof WorldLabsError && error.status === 429) {
+      return res.status(429).json({ error: 'World Labs is busy, please try again in a minute' });
+    }
     res.status(500).json({ error: error.message });
   }
-}
+});
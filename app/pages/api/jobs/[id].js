@@ -0,0 +1,25 @@
+import { getJob, refreshIfStale } from '../../../lib/jobs';
+import { getTour } from '../../../lib/tours';
+import { withAuth, owns } from '../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+
+  try {
+    let job = getJob(id);
+    if (!owns(req.user, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    job = await refreshIfStale(job);
+
+    const tour = job.tourId ? getTour(job.tourId) : null;
+    res.status(200).json({ ...job, tour });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,31 @@
+import { getLead, updateLeadStatus, deleteLead } from '../../../lib/leads';
+import { withAuth, owns } from '../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    const lead = getLead(id);
+    if (!owns(req.user, lead)) return res.status(404).json({ error: 'Lead not found' });
+
+    if (req.method === 'GET') {
+      return res.status(200).json(lead);
+    }
+
+    if (req.method === 'PATCH') {
+      const { lead: updated, error } = updateLeadStatus(id, req.body?.status);
+      if (error) return res.status(400).json({ error });
+      return res.status(200).json(updated);
+    }
+
+    if (req.method === 'DELETE') {
+      deleteLead(id);
+      return res.status(204).end();
+    }
+  } catch (error) {
+    console.error('Lead error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
@@ -0,0 +1,46 @@
+import { createLead, listLeads } from '../../../lib/leads';
+import { getTour } from '../../../lib/tours';
+import { getProperty } from '../../../lib/properties';
+import { withAuth, owns } from '../../../lib/auth';
+
+// A lead is a few short fields and a message of up to 2000 characters
+export const config = {
+  api: { bodyParser: { sizeLimit: '16kb' } },
+};
+
+// The agent's inbox, with the tour and property each lead came from
+const listHandler = withAuth(async function handler(req, res) {
+  const { status } = req.query;
+  const leads = listLeads(lead => owns(req.user, lead) && (!status || lead.status === status));
+  res.status(200).json({
+    leads: leads.map(lead => ({
+      ...lead,
+      tourName: getTour(lead.tourId)?.name || 'Deleted tour',
+      propertyAddress: lead.propertyId ? getProperty(lead.propertyId)?.address || null : null,
+    })),
+  });
+});
+
+// Buyers submit from the public tour page, so POST needs no session
+export default async function handler(req, res) {
+  if (req.method === 'GET') {
+    return listHandler(req, res);
+  }
+
+  if (req.method === 'POST') {
+    const { website, ...fields } = req.body || {};
+    // Hidden field that only bots fill in; pretend it worked
+    if (website) return res.status(201).json({ ok: true });
+    try {
+      const { error, limited } = createLead({ ...fields, address: req.socket.remoteAddress });
+      if (limited) return res.status(429).json({ error });
+      if (error) return res.status(400).json({ error });
+      return res.status(201).json({ ok: true });
+    } catch (error) {
+      console.error('Create lead error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+}
@@ -0,0 +1,35 @@
+import { MODELS } from '../../lib/worldlabs';
+import { inputRefs, resolveUploads, prepareInputs } from '../../lib/uploads';
+import { withAuth } from '../../lib/auth';
+import { resolveLayout } from '../../lib/layout';
+
+// Runs the same pipeline and checks as /api/generate without starting a
+// generation, so the page can show warnings before anything is spent
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { mode, inputType } = req.body || {};
+  const refs = inputRefs(req.body || {});
+  if (!refs) {
+    return res.status(400).json({ error: 'No inputs provided' });
+  }
+  const layout = refs.length > 1 ? resolveLayout(req.body.layoutMode, refs) : { layoutMode: 'auto' };
+  if (layout.error) {
+    return res.status(400).json({ error: layout.error });
+  }
+  const { layoutMode } = layout;
+  const uploads = resolveUploads(refs, req.user);
+  if (!uploads) {
+    return res.status(400).json({ error: 'Upload missing or incomplete' });
+  }
+
+  try {
+    const model = mode === 'draft' ? MODELS.draft : MODELS.standard;
+    const { issues } = await prepareInputs(refs, uploads, { model, inputType, layoutMode });
+    res.status(200).json({ issues });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
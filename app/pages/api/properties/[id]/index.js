@@ -0,0 +1,39 @@
+import { getProperty, updateProperty, deleteProperty, withTours } from '../../../../lib/properties';
+import { getJob } from '../../../../lib/jobs';
+import { withAuth, owns } from '../../../../lib/auth';
+
+// Rooms without a tour yet report the status of the job generating them
+function roomStatus(room) {
+  if (room.tour) return 'ready';
+  const job = room.jobId ? getJob(room.jobId) : null;
+  return job ? job.status : 'missing';
+}
+
+export default withAuth(async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    const property = getProperty(id);
+    if (!owns(req.user, property)) return res.status(404).json({ error: 'Property not found' });
+
+    if (req.method === 'GET') {
+      const detailed = withTours(property);
+      detailed.rooms = detailed.rooms.map(room => ({ ...room, status: roomStatus(room) }));
+      return res.status(200).json(detailed);
+    }
+
+    if (req.method === 'PATCH') {
+      return res.status(200).json(updateProperty(id, req.body || {}));
+    }
+
+    if (req.method === 'DELETE') {
+      deleteProperty(id);
+      return res.status(204).end();
+    }
+  } catch (error) {
+    console.error('Property error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
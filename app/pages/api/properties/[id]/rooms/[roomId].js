@@ -0,0 +1,28 @@
+import { getProperty, updateRoom, removeRoom } from '../../../../../lib/properties';
+import { getTour } from '../../../../../lib/tours';
+import { withAuth, owns } from '../../../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  const { id, roomId } = req.query;
+
+  try {
+    if (!owns(req.user, getProperty(id))) return res.status(404).json({ error: 'Property not found' });
+
+    if (req.method === 'PATCH') {
+      const { name, tourId, position } = req.body || {};
+      if (tourId && !owns(req.user, getTour(tourId))) {
+        return res.status(400).json({ error: 'Tour not found' });
+      }
+      return res.status(200).json(updateRoom(id, roomId, { name, tourId, position }));
+    }
+
+    if (req.method === 'DELETE') {
+      return res.status(200).json(removeRoom(id, roomId));
+    }
+  } catch (error) {
+    console.error('Room error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
@@ -0,0 +1,26 @@
+import { getProperty, addRoom } from '../../../../../lib/properties';
+import { getTour } from '../../../../../lib/tours';
+import { withAuth, owns } from '../../../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id } = req.query;
+  const { name, tourId } = req.body || {};
+  if (!tourId) {
+    return res.status(400).json({ error: 'tourId required' });
+  }
+
+  try {
+    if (!owns(req.user, getProperty(id))) return res.status(404).json({ error: 'Property not found' });
+    const tour = getTour(tourId);
+    if (!owns(req.user, tour)) return res.status(400).json({ error: 'Tour not found' });
+    const room = addRoom(id, { name: name || tour.name, tourId });
+    res.status(201).json(room);
+  } catch (error) {
+    console.error('Add room error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
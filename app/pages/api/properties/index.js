@@ -0,0 +1,23 @@
+import { listProperties, createProperty } from '../../../lib/properties';
+import { withAuth, owns } from '../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ properties: listProperties(p => owns(req.user, p)) });
+  }
+
+  if (req.method === 'POST') {
+    const { address, name } = req.body || {};
+    if (!address) {
+      return res.status(400).json({ error: 'address required' });
+    }
+    try {
+      return res.status(201).json(createProperty({ address, name, ownerId: req.user.id }));
+    } catch (error) {
+      console.error('Create property error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
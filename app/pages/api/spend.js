@@ -0,0 +1,20 @@
+import { spendSummary } from '../../lib/ledger';
+import { getTour } from '../../lib/tours';
+import { withAuth } from '../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const summary = spendSummary({ since: req.query.since, ownerId: req.user.id });
+    summary.byTour = summary.byTour.map(row => ({
+      ...row,
+      name: row.tourId ? getTour(row.tourId)?.name || 'Deleted tour' : 'In progress / failed',
+    }));
+    res.status(200).json(summary);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,31 @@
+import { WorldLabsError, createClient } from '../../../lib/worldlabs';
+import { findJobByOperation } from '../../../lib/jobs';
+import { withAuth, owns } from '../../../lib/auth';
+
+const client = createClient();
+
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { operationId } = req.query;
+  if (!operationId) {
+    return res.status(400).json({ error: 'operationId required' });
+  }
+
+  // Only operations this agent started
+  if (!owns(req.user, findJobByOperation(operationId))) {
+    return res.status(404).json({ error: 'Operation not found' });
+  }
+
+  try {
+    const data = await client.getOperation(operationId);
+    res.status(200).json(data);
+  } catch (error) {
+    if (error instanceof WorldLabsError) {
+      return res.status(error.status).json({ error: JSON.stringify(error.body) });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,101 @@
+import {
+  getJob,
+  findJobByOperation,
+  isActive,
+  phaseFor,
+  refreshIfStale,
+  startWorker,
+  subscribeToJob,
+} from '../../../lib/jobs';
+import { getTour } from '../../../lib/tours';
+import { withAuth, owns } from '../../../lib/auth';
+
+// The handler returns while the stream stays open
+export const config = { api: { externalResolver: true } };
+
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 3000;
+
+/**
+ * Server-Sent Events stream for a generation job.
+ *
+ * GET /api/status/stream?jobId=... (or ?operationId=...)
+ *
+ * Events:
+ *   progress  { status, progress, phase }
+ *   complete  { jobId, tour }
+ *   failed    { jobId, error }
+ *
+ * The current state is sent on every connect, so EventSource reconnects
+ * pick up where they left off without replaying history.
+ */
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { jobId, operationId } = req.query;
+  if (!jobId && !operationId) {
+    return res.status(400).json({ error: 'jobId or operationId required' });
+  }
+
+  const job = jobId ? getJob(jobId) : findJobByOperation(operationId);
+  if (!owns(req.user, job)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Keep Next.js compression and proxies from buffering the stream
+    'Content-Encoding': 'none',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  let closed = false;
+  let unsubscribe = () => {};
+  let heartbeat = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  const send = (event, data, id) => {
+    if (closed) return;
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const emit = (current) => {
+    const id = Date.parse(current.updatedAt);
+    if (current.status === 'succeeded') {
+      send('complete', { jobId: current.id, tour: current.tourId ? getTour(current.tourId) : null }, id);
+      return close();
+    }
+    if (current.status === 'failed') {
+      send('failed', { jobId: current.id, error: current.error || 'Generation failed' }, id);
+      return close();
+    }
+    send('progress', { status: current.status, progress: current.progress, phase: phaseFor(current) }, id);
+  };
+
+  req.on('close', close);
+  unsubscribe = subscribeToJob(job.id, emit);
+  startWorker();
+
+  heartbeat = setInterval(() => {
+    if (closed) return;
+    res.write(': heartbeat\n\n');
+    const current = getJob(job.id);
+    if (current && isActive(current)) {
+      refreshIfStale(current).catch(e => console.error('Stream refresh failed:', e));
+    }
+  }, HEARTBEAT_MS);
+
+  emit(await refreshIfStale(job));
+});
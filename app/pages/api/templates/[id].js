@@ -0,0 +1,28 @@
+import { getTemplate, deleteTemplate } from '../../../lib/templates';
+import { withAuth, owns } from '../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    const template = getTemplate(id);
+    if (!template || (!template.builtin && !owns(req.user, template))) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json(template);
+    }
+
+    if (req.method === 'DELETE') {
+      if (template.builtin) return res.status(403).json({ error: 'Built-in templates cannot be deleted' });
+      deleteTemplate(id);
+      return res.status(204).end();
+    }
+  } catch (error) {
+    console.error('Template error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
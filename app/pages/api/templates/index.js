@@ -0,0 +1,22 @@
+import { listTemplates, createTemplate } from '../../../lib/templates';
+import { withAuth } from '../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ templates: listTemplates(req.user.id) });
+  }
+
+  if (req.method === 'POST') {
+    const { name, text } = req.body || {};
+    try {
+      const { template, error } = createTemplate({ name, text, ownerId: req.user.id });
+      if (error) return res.status(400).json({ error });
+      return res.status(201).json(template);
+    } catch (error) {
+      console.error('Create template error:', error);
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
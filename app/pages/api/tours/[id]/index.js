@@ -0,0 +1,37 @@
+import { getTour, updateTour, deleteTour } from '../../../../lib/tours';
+import { updateListing } from '../../../../lib/listings';
+import { withAuth, owns } from '../../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  const { id } = req.query;
+
+  try {
+    // Other agents' tours are reported as missing, not forbidden
+    const tour = getTour(id);
+    if (!owns(req.user, tour)) return res.status(404).json({ error: 'Tour not found' });
+
+    if (req.method === 'GET') {
+      return res.status(200).json(tour);
+    }
+
+    if (req.method === 'PATCH') {
+      const { listing, ...fields } = req.body || {};
+      // Listing fields are validated and merged into what is already there
+      if (listing !== undefined) {
+        const { error } = updateListing(id, listing);
+        if (error) return res.status(400).json({ error });
+      }
+      return res.status(200).json(updateTour(id, fields));
+    }
+
+    if (req.method === 'DELETE') {
+      deleteTour(id);
+      return res.status(204).end();
+    }
+  } catch (error) {
+    console.error('Tour error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
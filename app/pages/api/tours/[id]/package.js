@@ -0,0 +1,29 @@
+import { createClient } from '../../../../lib/worldlabs';
+import { getTour } from '../../../../lib/tours';
+import { packageFileName, writeTourPackage } from '../../../../lib/tourPackage';
+import { withAuth, owns } from '../../../../lib/auth';
+
+const client = createClient();
+
+// Zip of the world's assets, the original inputs and the tour metadata
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const tour = getTour(req.query.id);
+  if (!owns(req.user, tour)) return res.status(404).json({ error: 'Tour not found' });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${packageFileName(tour)}"`);
+  try {
+    await writeTourPackage(tour, res, { client, user: req.user });
+  } catch (error) {
+    console.error('Tour package error:', error);
+    // Headers are gone once the zip has started; cut the download short
+    if (res.headersSent) return res.destroy(error);
+    // Nothing written yet: the world could not be fetched from World Labs
+    res.removeHeader('Content-Disposition');
+    res.status(502).json({ error: `Could not export the package: ${error.message}` });
+  }
+});
@@ -0,0 +1,39 @@
+import QRCode from 'qrcode';
+import { getTour } from '../../../../lib/tours';
+import { withAuth, owns } from '../../../../lib/auth';
+import { tourUrl, requestOrigin, fileSlug } from '../../../../lib/links';
+
+// Large enough to print on a yard sign without scaling artifacts
+const PNG_WIDTH = 1024;
+
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { id, format = 'png', download } = req.query;
+  if (format !== 'png' && format !== 'svg') {
+    return res.status(400).json({ error: 'format must be png or svg' });
+  }
+
+  try {
+    const tour = getTour(id);
+    if (!owns(req.user, tour)) return res.status(404).json({ error: 'Tour not found' });
+
+    // Points at the hosted tour page, not the World Labs viewer
+    const url = tourUrl(requestOrigin(req), tour.id);
+    const options = { errorCorrectionLevel: 'M', margin: 2 };
+    const body = format === 'svg'
+      ? await QRCode.toString(url, { ...options, type: 'svg' })
+      : await QRCode.toBuffer(url, { ...options, type: 'png', width: PNG_WIDTH });
+
+    res.setHeader('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+    if (download) {
+      res.setHeader('Content-Disposition', `attachment; filename="${fileSlug(tour.name)}-qr.${format}"`);
+    }
+    res.status(200).send(body);
+  } catch (error) {
+    console.error('QR code error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
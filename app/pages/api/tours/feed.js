@@ -0,0 +1,34 @@
+import { listTours } from '../../../lib/tours';
+import { resoRecord, resoCsv } from '../../../lib/listings';
+import { withAuth, owns } from '../../../lib/auth';
+import { requestOrigin } from '../../../lib/links';
+
+// RESO-style feed of the agent's tours for attaching virtual tour URLs in the MLS
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { format = 'json', download } = req.query;
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ error: 'format must be json or csv' });
+  }
+
+  try {
+    const origin = requestOrigin(req);
+    const records = listTours(t => owns(req.user, t)).map(tour => resoRecord(tour, origin));
+
+    if (download) {
+      res.setHeader('Content-Disposition', `attachment; filename="tour-listings.${format}"`);
+    }
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      return res.status(200).send(resoCsv(records));
+    }
+    // Same envelope as a RESO Web API collection response
+    res.status(200).json({ value: records });
+  } catch (error) {
+    console.error('Listing feed error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,12 @@
+import { listTours } from '../../../lib/tours';
+import { withAuth, owns } from '../../../lib/auth';
+
+// Tours are only created by the job worker (and the CLI) from a completed
+// operation, so the world they point to is never taken from a client
+export default withAuth(async function handler(req, res) {
+  if (req.method === 'GET') {
+    return res.status(200).json({ tours: listTours(t => owns(req.user, t)) });
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
@@ -0,0 +1,23 @@
+import fs from 'fs';
+import { getUpload, isComplete, uploadPath } from '../../../../lib/uploads';
+import { withAuth, owns } from '../../../../lib/auth';
+
+// The uploaded file itself, e.g. for keyframe previews on the upload page
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const upload = getUpload(req.query.id);
+  if (!owns(req.user, upload) || !isComplete(upload)) {
+    return res.status(404).json({ error: 'Upload not found' });
+  }
+
+  res.setHeader('Content-Type', upload.mimeType);
+  // Served from the app's origin, so never let a browser render it as a page
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(upload.fileName)}`);
+  res.setHeader('Content-Length', upload.size);
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  fs.createReadStream(uploadPath(upload)).pipe(res);
+});
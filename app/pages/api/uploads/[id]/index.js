@@ -0,0 +1,45 @@
+import { CHUNK_SIZE, getUpload, appendChunk, removeUpload } from '../../../../lib/uploads';
+import { withAuth, owns } from '../../../../lib/auth';
+
+// Chunks are streamed to disk, not parsed
+export const config = {
+  api: { bodyParser: false },
+};
+
+export default withAuth(async function handler(req, res) {
+  const { id } = req.query;
+  const upload = getUpload(id);
+  if (!owns(req.user, upload)) return res.status(404).json({ error: 'Upload not found' });
+
+  if (req.method === 'GET') {
+    return res.status(200).json({ ...upload, chunkSize: CHUNK_SIZE });
+  }
+
+  if (req.method === 'PUT') {
+    // The client sends the offset it believes it is at; on a mismatch it
+    // resumes from the offset in the response
+    const offset = Number(req.headers['upload-offset']);
+    if (offset !== upload.received) {
+      return res.status(409).json({ error: 'Offset mismatch', received: upload.received });
+    }
+    const length = Number(req.headers['content-length']);
+    if (length > CHUNK_SIZE || offset + length > upload.size) {
+      return res.status(413).json({ error: 'Chunk too large', received: upload.received });
+    }
+
+    try {
+      const updated = await appendChunk(upload, offset, req);
+      return res.status(200).json({ id, size: updated.size, received: updated.received });
+    } catch (error) {
+      console.error('Upload chunk error:', error.message);
+      return res.status(400).json({ error: error.message, received: upload.received });
+    }
+  }
+
+  if (req.method === 'DELETE') {
+    removeUpload(upload);
+    return res.status(204).end();
+  }
+
+  res.status(405).json({ error: 'Method not allowed' });
+});
@@ -0,0 +1,54 @@
+import fs from 'fs';
+import path from 'path';
+import { getUpload, isComplete, uploadPath, createDerivedUpload } from '../../../../lib/uploads';
+import { KEYFRAME_LIMITS, probeVideo, rangeError, extractKeyframes } from '../../../../lib/video';
+import { withAuth, owns } from '../../../../lib/auth';
+
+const DEFAULT_KEYFRAMES = 6;
+
+// Turn { start, end } of a video upload into `count` keyframe uploads for an
+// auto-layout multi-image prompt
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const upload = getUpload(req.query.id);
+  if (!owns(req.user, upload)) return res.status(404).json({ error: 'Upload not found' });
+  if (!isComplete(upload) || !upload.mimeType.startsWith('video/')) {
+    return res.status(400).json({ error: 'Not a completed video upload' });
+  }
+
+  const { start = 0, end, count = DEFAULT_KEYFRAMES } = req.body || {};
+  if (!Number.isInteger(count) || count < KEYFRAME_LIMITS.min || count > KEYFRAME_LIMITS.max) {
+    return res.status(400).json({ error: `count must be ${KEYFRAME_LIMITS.min}-${KEYFRAME_LIMITS.max}` });
+  }
+
+  try {
+    let duration;
+    try {
+      ({ duration } = await probeVideo(uploadPath(upload)));
+    } catch (error) {
+      return res.status(400).json({ error: `Could not read ${upload.fileName}` });
+    }
+    const range = { start, end: Math.min(end ?? duration, duration) };
+    const problem = rangeError(range, duration);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const frames = await extractKeyframes(uploadPath(upload), { ...range, count });
+    const baseName = path.parse(upload.fileName).name;
+    const images = [];
+    for (const [i, frame] of frames.entries()) {
+      const fileName = `${baseName}-frame-${i + 1}.jpg`;
+      const image = await createDerivedUpload(
+        { fileName, mimeType: 'image/jpeg', ownerId: req.user.id, sourceUploadId: upload.id },
+        (outputPath) => fs.promises.writeFile(outputPath, frame.data),
+      );
+      images.push({ uploadId: image.id, name: fileName, time: frame.time });
+    }
+    res.status(201).json({ images });
+  } catch (error) {
+    console.error('Keyframes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
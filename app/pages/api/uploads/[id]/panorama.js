@@ -0,0 +1,42 @@
+import fs from 'fs';
+import path from 'path';
+import { getUpload, isComplete, uploadPath, createDerivedUpload } from '../../../../lib/uploads';
+import { PanoramaError, normalizePanorama } from '../../../../lib/panorama';
+import { MODELS } from '../../../../lib/worldlabs';
+import { withAuth, owns } from '../../../../lib/auth';
+
+// Check an image upload as a panorama and convert it to 2:1 equirectangular.
+// The result is a new upload, shown as a preview before generating, sized for
+// the model `mode` ('draft' or 'standard') will generate with
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const upload = getUpload(req.query.id);
+  if (!owns(req.user, upload)) return res.status(404).json({ error: 'Upload not found' });
+  if (!isComplete(upload) || !upload.mimeType.startsWith('image/')) {
+    return res.status(400).json({ error: 'Not a completed image upload' });
+  }
+
+  try {
+    const model = req.body?.mode === 'draft' ? MODELS.draft : MODELS.standard;
+    let panorama;
+    try {
+      panorama = await normalizePanorama(uploadPath(upload), { model });
+    } catch (error) {
+      if (error instanceof PanoramaError) return res.status(400).json({ error: error.message });
+      return res.status(400).json({ error: `Could not read ${upload.fileName}` });
+    }
+
+    const fileName = `${path.parse(upload.fileName).name}-equirect.jpg`;
+    const normalized = await createDerivedUpload(
+      { fileName, mimeType: 'image/jpeg', ownerId: req.user.id, sourceUploadId: upload.id },
+      (outputPath) => fs.promises.writeFile(outputPath, panorama.data),
+    );
+    res.status(201).json({ uploadId: normalized.id, name: fileName, report: panorama.report });
+  } catch (error) {
+    console.error('Panorama error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,39 @@
+import path from 'path';
+import { getUpload, isComplete, uploadPath, createDerivedUpload } from '../../../../lib/uploads';
+import { probeVideo, rangeError, trimVideo } from '../../../../lib/video';
+import { withAuth, owns } from '../../../../lib/auth';
+
+// Cut a video upload to { start, end } seconds; the clip is a new upload
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const upload = getUpload(req.query.id);
+  if (!owns(req.user, upload)) return res.status(404).json({ error: 'Upload not found' });
+  if (!isComplete(upload) || !upload.mimeType.startsWith('video/')) {
+    return res.status(400).json({ error: 'Not a completed video upload' });
+  }
+
+  const { start, end } = req.body || {};
+  try {
+    let duration;
+    try {
+      ({ duration } = await probeVideo(uploadPath(upload)));
+    } catch (error) {
+      return res.status(400).json({ error: `Could not read ${upload.fileName}` });
+    }
+    const problem = rangeError({ start, end }, duration);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const baseName = path.parse(upload.fileName).name;
+    const clip = await createDerivedUpload(
+      { fileName: `${baseName}-trimmed.mp4`, mimeType: 'video/mp4', ownerId: req.user.id, sourceUploadId: upload.id },
+      (outputPath) => trimVideo(uploadPath(upload), outputPath, { start, end: Math.min(end, duration) }),
+    );
+    res.status(201).json(clip);
+  } catch (error) {
+    console.error('Trim error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
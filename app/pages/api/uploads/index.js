@@ -0,0 +1,18 @@
+import { CHUNK_SIZE, createUpload } from '../../../lib/uploads';
+import { withAuth } from '../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { fileName, mimeType, size } = req.body || {};
+  try {
+    const { upload, error } = createUpload({ fileName, mimeType, size, ownerId: req.user.id });
+    if (error) return res.status(400).json({ error });
+    res.status(201).json({ ...upload, chunkSize: CHUNK_SIZE });
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,36 @@
+import { getVariantGroup, withVariantTours } from '../../../../lib/variants';
+import { getJob, refreshIfStale } from '../../../../lib/jobs';
+import { withAuth, owns } from '../../../../lib/auth';
+
+// Variants without a tour yet report the status of the job generating them
+async function variantStatus(variant) {
+  if (variant.tour) return { status: 'ready', progress: 100 };
+  if (variant.error) return { status: 'failed', progress: 0 };
+  if (!variant.jobId) return { status: 'missing', progress: 0 };
+  const job = getJob(variant.jobId);
+  // A job record that is gone will never finish
+  if (!job) return { status: 'failed', progress: 0, error: 'Generation job not found' };
+  const { status, progress, error } = await refreshIfStale(job);
+  return { status, progress, error };
+}
+
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const group = getVariantGroup(req.query.id);
+    if (!owns(req.user, group)) return res.status(404).json({ error: 'Variants not found' });
+
+    const detailed = withVariantTours(group);
+    detailed.variants = await Promise.all(detailed.variants.map(async variant => ({
+      ...variant,
+      ...await variantStatus(variant),
+    })));
+    res.status(200).json(detailed);
+  } catch (error) {
+    console.error('Variants error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -0,0 +1,20 @@
+import { getVariantGroup, publishVariant } from '../../../../lib/variants';
+import { withAuth, owns } from '../../../../lib/auth';
+
+export default withAuth(async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const group = getVariantGroup(req.query.id);
+    if (!owns(req.user, group)) return res.status(404).json({ error: 'Variants not found' });
+
+    const { group: published, error } = publishVariant(group.id, req.body?.variantId);
+    if (error) return res.status(400).json({ error });
+    res.status(200).json(published);
+  } catch (error) {
+    console.error('Publish variant error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
@@ -1,7 +1,10 @@
-const API_KEY = process.env.WORLDLABS_API_KEY;
-const API_BASE = 'https://api.worldlabs.ai/marble/v1';
+import { WorldLabsError, createClient } from '../../lib/worldlabs';
+import { getTourForWorld } from '../../lib/tours';
+import { withAuth } from '../../lib/auth';
 
-export default async function handler(req, res) {
+const client = createClient();
+
+export default withAuth(async function handler(req, res) {
   if (req.method !== 'GET') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -11,19 +14,18 @@ export default async function handler(req, res) {
     return res.status(400).json({ error: 'worldId required' });
   }
 
+  // Only worlds from this agent's tours
+  if (!getTourForWorld(worldId, req.user.id)) {
+    return res.status(404).json({ error: 'World not found' });
+  }
+
   try {
-    const response = await fetch(`${API_BASE}/worlds/${worldId}`, {
-      headers: {
-        'WLT-Api-Key': API_KEY,
-        'Content-Type': 'application/json',
-      },
-    });
-    const data = await response.json();
-    if (!response.ok) {
-      return res.status(response.status).json({ error: JSON.stringify(data) });
-    }
+    const data = await client.getWorld(worldId);
     res.status(200).json(data);
   } catch (error) {
+    if (error instanceof WorldLabsError) {
+      return res.status(error.status).json({ error: JSON.stringify(error.body) });
+    }
     res.status(500).json({ error: error.message });
   }
-}
+});
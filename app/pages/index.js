@@ -1,16 +1,68 @@
 import { useState, useRef, useCallback, useEffect } from 'react';
 import Head from 'next/head';
+import Link from 'next/link';
+import { useRouter } from 'next/router';
+import { MODELS, MAX_TEXT_PROMPT_LENGTH } from '../lib/worldlabs';
+import { estimateCost, formatUsd } from '../lib/pricing';
+import useSession from '../components/useSession';
+import { uploadFile } from '../lib/chunkedUpload';
+import { tourPath, tourUrl, embedSnippet } from '../lib/links';
+import { MAX_IMAGES, layoutError } from '../lib/layout';
+import CompassDial from '../components/CompassDial';
 
-const STEPS = { UPLOAD: 'upload', PROCESSING: 'processing', DONE: 'done', ERROR: 'error' };
-const DIRECTIONS = ['front', 'right', 'back', 'left'];
-const DIR_LABELS = { front: '⬆️ Front', right: '➡️ Right', back: '⬇️ Back', left: '⬅️ Left' };
+const STEPS = { UPLOAD: 'upload', REVIEW: 'review', PROCESSING: 'processing', DONE: 'done', ERROR: 'error' };
+const ACTIVE_JOB_KEY = 'activeJobId';
+const NEW_PROPERTY = '__new';
+
+const KEYFRAME_COUNTS = [4, 5, 6, 7, 8];
+
+// Starting points for style variants; the guidance is sent as the world's text prompt
+const VARIANT_PRESETS = [
+  { label: 'Staged modern', guidance: 'Virtually staged in a modern style: clean-lined furniture, neutral palette, warm wood accents and soft daylight' },
+  { label: 'Staged farmhouse', guidance: 'Virtually staged in a modern farmhouse style: linen upholstery, reclaimed wood, black metal fixtures and woven textures' },
+  { label: 'Scandinavian', guidance: 'Virtually staged in a Scandinavian style: light oak, white walls, minimal furniture and cozy wool throws' },
+  { label: 'Empty', guidance: 'The same room completely empty, with no furniture or decor' },
+];
+const MAX_VARIANTS = 4;
+
+function formatClock(seconds) {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Variant worlds of one room collapse into a single gallery entry
+function galleryEntries(worlds) {
+  const entries = [];
+  const groups = new Map();
+  for (const world of worlds) {
+    if (!world.variantGroupId) {
+      entries.push(world);
+      continue;
+    }
+    if (!groups.has(world.variantGroupId)) {
+      const entry = { ...world, id: world.variantGroupId, variantCount: 0 };
+      groups.set(world.variantGroupId, entry);
+      entries.push(entry);
+    }
+    groups.get(world.variantGroupId).variantCount++;
+  }
+  return entries;
+}
+
+// Some browsers report iPhone HEIC photos with an empty type
+function imageType(file) {
+  if (file.type.startsWith('image/')) return file.type;
+  return /\.hei[cf]$/i.test(file.name) ? 'image/heic' : null;
+}
 
 export default function Home() {
+  const router = useRouter();
+  const { user, logout } = useSession();
   const [step, setStep] = useState(STEPS.UPLOAD);
   const [images, setImages] = useState([]);
   const [name, setName] = useState('');
   const [mode, setMode] = useState('standard');
-  const [inputType, setInputType] = useState('images'); // images | video | panorama
+  const [inputType, setInputType] = useState('images'); // images | video | panorama | text
   const [layoutMode, setLayoutMode] = useState('auto'); // auto | direction
   const [progress, setProgress] = useState(0);
   const [result, setResult] = useState(null);
@@ -20,50 +72,96 @@ export default function Home() {
   const [dragOver, setDragOver] = useState(false);
   const [video, setVideo] = useState(null);
   const [panorama, setPanorama] = useState(null);
+  const [text, setText] = useState('');
+  const [templates, setTemplates] = useState([]); // built-in and saved prompt templates
+  const [variants, setVariants] = useState([]); // [{ label, guidance }] to compare; empty = one world
+  const [keyframeCount, setKeyframeCount] = useState(6);
+  const [videoStatus, setVideoStatus] = useState(null); // { text, error } while extracting keyframes
+  const [panoStatus, setPanoStatus] = useState(null); // { text, error } while normalizing the panorama
   const [progressPhase, setProgressPhase] = useState('');
+  const [properties, setProperties] = useState([]);
+  const [propertyId, setPropertyId] = useState(''); // '' = standalone world
+  const [newAddress, setNewAddress] = useState('');
+  const [spend, setSpend] = useState(null); // { monthToDateUsd, budgetUsd }
+  const [review, setReview] = useState(null); // { body, issues } from the pre-flight checks
+  const [showEmbed, setShowEmbed] = useState(false);
   const fileInputRef = useRef(null);
   const videoInputRef = useRef(null);
+  const videoRef = useRef(null);
   const panoInputRef = useRef(null);
+  const resumedRef = useRef(false);
 
-  const maxImages = layoutMode === 'auto' ? 8 : 4;
+  const maxImages = MAX_IMAGES[layoutMode];
+  const costFor = (quality) => estimateCost({ model: MODELS[quality], inputType });
+  const worldCount = Math.max(variants.length, 1);
+  const cost = {
+    credits: costFor(mode).credits * worldCount,
+    usd: Math.round(costFor(mode).usd * worldCount * 100) / 100,
+  };
+  const gallery = galleryEntries(worlds);
+  const remainingUsd = spend?.budgetUsd != null ? spend.budgetUsd - spend.monthToDateUsd : null;
+  const overBudget = remainingUsd != null && cost.usd > remainingUsd;
+
+  // Load saved tours for the gallery
+  useEffect(() => {
+    fetch('/api/tours')
+      .then(res => res.ok ? res.json() : { tours: [] })
+      .then(data => setWorlds(data.tours))
+      .catch(e => console.error('Failed to load tours', e));
+  }, []);
+
+  // Properties a new world can be added to as a room
+  useEffect(() => {
+    fetch('/api/properties')
+      .then(res => res.ok ? res.json() : { properties: [] })
+      .then(data => setProperties(data.properties))
+      .catch(e => console.error('Failed to load properties', e));
+  }, []);
 
-  // Animated progress
+  // Prompt templates for the Text tab
   useEffect(() => {
-    if (step !== STEPS.PROCESSING) return;
-    const phases = ['Uploading images...', 'Analyzing geometry...', 'Building 3D mesh...', 'Rendering world...', 'Almost there...'];
-    let idx = 0;
-    setProgressPhase(phases[0]);
-    const interval = setInterval(() => {
-      idx = Math.min(idx + 1, phases.length - 1);
-      setProgressPhase(phases[idx]);
-    }, 15000);
-    return () => clearInterval(interval);
+    fetch('/api/templates')
+      .then(res => res.ok ? res.json() : { templates: [] })
+      .then(data => setTemplates(data.templates))
+      .catch(e => console.error('Failed to load templates', e));
+  }, []);
+
+  // Month-to-date spend for the budget line; refreshed whenever the form is shown
+  useEffect(() => {
+    if (step !== STEPS.UPLOAD) return;
+    fetch('/api/spend')
+      .then(res => res.ok ? res.json() : null)
+      .then(setSpend)
+      .catch(e => console.error('Failed to load spend', e));
   }, [step]);
 
-  const resizeImage = (file, maxWidth = 1024, quality = 0.7) => {
-    return new Promise((resolve) => {
-      const reader = new FileReader();
-      reader.onload = (ev) => {
-        const img = new Image();
-        img.onload = () => {
-          const canvas = document.createElement('canvas');
-          let w = img.width, h = img.height;
-          if (w > maxWidth) { h = (h * maxWidth) / w; w = maxWidth; }
-          canvas.width = w;
-          canvas.height = h;
-          canvas.getContext('2d').drawImage(img, 0, 0, w, h);
-          const data = canvas.toDataURL('image/jpeg', quality);
-          resolve({ name: file.name, type: 'image/jpeg', data, preview: data, direction: null });
-        };
-        img.src = ev.target.result;
-      };
-      reader.readAsDataURL(file);
-    });
-  };
+  // Draft and standard panoramas are sized differently; convert again on a switch
+  useEffect(() => {
+    if (!panorama?.sourceId || panorama.mode === mode) return;
+    convertPanorama(panorama.file, panorama.sourceId, mode)
+      .catch(err => setPanoStatus({ text: err.message, error: true }));
+  }, [mode]);
+
+  // Resume a generation started before the page was closed or reloaded
+  useEffect(() => {
+    const jobId = localStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId || resumedRef.current) return;
+    resumedRef.current = true;
+    setStep(STEPS.PROCESSING);
+    followJob(jobId).catch(showError);
+  }, []);
+
+  // Originals are uploaded; the server rotates, converts and resizes them
+  const toImage = (file) => ({
+    name: file.name,
+    type: imageType(file),
+    file,
+    preview: URL.createObjectURL(file),
+    azimuth: null,
+  });
 
-  const handleFiles = async (files) => {
-    const imageFiles = Array.from(files).filter(f => f.type.startsWith('image/'));
-    const newImages = await Promise.all(imageFiles.map(f => resizeImage(f)));
+  const handleFiles = (files) => {
+    const newImages = Array.from(files).filter(f => imageType(f)).map(toImage);
     setImages(prev => {
       const combined = [...prev, ...newImages];
       return combined.slice(0, maxImages);
@@ -81,110 +179,317 @@ export default function Home() {
   const handleVideoFile = (e) => {
     const file = e.target.files[0];
     if (!file) return;
-    if (file.size > 100 * 1024 * 1024) {
-      alert('Video must be under 100MB');
-      return;
+    // Sent to the server in chunks when generating; never read into memory here.
+    // duration/start/end are filled in once the preview has loaded
+    setVideo({ name: file.name, file, preview: URL.createObjectURL(file) });
+    setVideoStatus(null);
+  };
+
+  const handleVideoMetadata = (e) => {
+    const { duration } = e.target;
+    setVideo(v => (v.duration ? v : { ...v, duration, start: 0, end: duration }));
+  };
+
+  const setTrim = (edge, value) => {
+    setVideo(v => {
+      const next = { ...v, [edge]: value };
+      // Keep at least one second between the handles
+      if (next.end - next.start < 1) return v;
+      return next;
+    });
+    if (videoRef.current) videoRef.current.currentTime = value;
+  };
+
+  const isTrimmed = (v) => v.duration && (v.start > 0 || v.end < v.duration - 0.05);
+
+  // Replace a long walkthrough with sharp stills and switch to an auto-layout photo set
+  const handleExtractKeyframes = async () => {
+    try {
+      const uploadId = video.uploadId || await uploadFile(video.file, {
+        name: video.name,
+        onProgress: (bytes) => setVideoStatus({ text: `Uploading video... ${Math.round((bytes / video.file.size) * 100)}%` }),
+      });
+      setVideo(v => ({ ...v, uploadId }));
+      setVideoStatus({ text: 'Picking sharp frames...' });
+      const { images: frames } = await postJson(`/api/uploads/${uploadId}/keyframes`, {
+        start: video.start,
+        end: video.end,
+        count: keyframeCount,
+      });
+      setImages(frames.map(frame => ({
+        name: frame.name,
+        type: 'image/jpeg',
+        uploadId: frame.uploadId,
+        preview: `/api/uploads/${frame.uploadId}/file`,
+        azimuth: null,
+      })));
+      setLayoutMode('auto');
+      setInputType('images');
+      setVideoStatus(null);
+    } catch (err) {
+      setVideoStatus({ text: err.message, error: true });
     }
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      setVideo({ name: file.name, data: ev.target.result, preview: URL.createObjectURL(file) });
-    };
-    reader.readAsDataURL(file);
+  };
+
+  const saveTemplate = async () => {
+    const templateName = window.prompt('Template name', name);
+    if (!templateName?.trim()) return;
+    try {
+      const template = await postJson('/api/templates', { name: templateName, text });
+      setTemplates(prev => [...prev, template]);
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+    const response = await fetch(`/api/templates/${template.id}`, { method: 'DELETE' });
+    if (response.ok) setTemplates(prev => prev.filter(t => t.id !== template.id));
+  };
+
+  const addVariant = () => {
+    const next = VARIANT_PRESETS.find(p => !variants.some(v => v.label === p.label)) || { label: '', guidance: '' };
+    setVariants(prev => [...prev, next].slice(0, MAX_VARIANTS));
+  };
+  const updateVariant = (index, patch) => {
+    setVariants(prev => prev.map((v, i) => (i === index ? { ...v, ...patch } : v)));
+  };
+
+  const openWorld = (world) => {
+    if (world.variantCount) router.push(`/variants/${world.variantGroupId}`);
+    else window.open(tourPath(world.id), '_blank');
+  };
+
+  // Panoramas are uploaded and normalized to 2:1 equirectangular right away so
+  // the preview shows exactly what will be sent; the size depends on the mode
+  const convertPanorama = async (file, sourceId, panoMode) => {
+    setPanoStatus({ text: 'Converting to equirectangular...' });
+    const normalized = await postJson(`/api/uploads/${sourceId}/panorama`, { mode: panoMode });
+    // Ignore the result if the panorama was removed or replaced meanwhile
+    setPanorama(p => (p?.file === file ? {
+      ...p,
+      name: normalized.name,
+      type: 'image/jpeg',
+      sourceId,
+      mode: panoMode,
+      uploadId: normalized.uploadId,
+      preview: `/api/uploads/${normalized.uploadId}/file`,
+      report: normalized.report,
+    } : p));
+    setPanoStatus(null);
   };
 
   const handlePanoFile = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
-    const resized = await resizeImage(file, 2048, 0.8);
-    setPanorama(resized);
+    e.target.value = '';
+    setPanorama(toImage(file));
+    try {
+      const sourceId = await uploadFile(file, {
+        name: file.name,
+        type: imageType(file),
+        onProgress: (bytes) => setPanoStatus({ text: `Uploading panorama... ${Math.round((bytes / file.size) * 100)}%` }),
+      });
+      await convertPanorama(file, sourceId, mode);
+    } catch (err) {
+      setPanoStatus({ text: err.message, error: true });
+    }
+  };
+
+  const removePanorama = () => {
+    setPanorama(null);
+    setPanoStatus(null);
   };
 
   const removeImage = (index) => setImages(prev => prev.filter((_, i) => i !== index));
-  const setImageDirection = (index, dir) => {
-    setImages(prev => prev.map((img, i) => i === index ? { ...img, direction: dir } : img));
+  const setImageAzimuth = (index, azimuth) => {
+    setImages(prev => prev.map((img, i) => i === index ? { ...img, azimuth } : img));
   };
 
   const canGenerate = () => {
+    if (overBudget) return false;
+    if (propertyId === NEW_PROPERTY && !newAddress.trim()) return false;
+    if (variants.length === 1) return false;
     if (inputType === 'video') return !!video;
-    if (inputType === 'panorama') return !!panorama;
+    if (inputType === 'panorama') return !!panorama?.uploadId;
+    if (inputType === 'text') return text.trim().length > 0;
     if (images.length === 0) return false;
-    if (layoutMode === 'direction' && images.length > 1) {
-      return images.every(img => img.direction);
-    }
-    return true;
+    return !layoutError(layoutMode, images);
+  };
+
+  // Follow a server-side generation job over SSE until it finishes. The job
+  // keeps running if this page closes; it is picked up again from localStorage.
+  const followJob = (jobId) => new Promise((resolve, reject) => {
+    const source = new EventSource(`/api/status/stream?jobId=${encodeURIComponent(jobId)}`);
+
+    source.addEventListener('progress', (ev) => {
+      const data = JSON.parse(ev.data);
+      setProgress(data.progress || 0);
+      setProgressPhase(data.phase);
+    });
+    source.addEventListener('complete', (ev) => {
+      const { tour } = JSON.parse(ev.data);
+      source.close();
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      // Null when the job finished without a tour or it was deleted since
+      if (!tour) return reject(new Error('The world was generated but its tour could not be found'));
+      setResult(tour);
+      setWorlds(prev => [tour, ...prev.filter(w => w.id !== tour.id)]);
+      setStep(STEPS.DONE);
+      resolve(tour);
+    });
+    source.addEventListener('failed', (ev) => {
+      const { error } = JSON.parse(ev.data);
+      source.close();
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      reject(new Error(error));
+    });
+    // EventSource reconnects on its own; it only closes for good when the
+    // server refuses the stream (e.g. the job no longer exists)
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      localStorage.removeItem(ACTIVE_JOB_KEY);
+      reject(new Error('Lost track of the generation job'));
+    };
+  });
+
+  const showError = (err) => {
+    console.error('Generate error:', err);
+    setError(err.message || JSON.stringify(err));
+    setStep(STEPS.ERROR);
+  };
+
+  // Chunked uploads of the picked files, reported as one progress bar.
+  // Items already on the server (video keyframes) keep their upload ID.
+  const uploadMedia = (items) => {
+    const totalBytes = items.reduce((sum, item) => sum + (item.uploadId ? 0 : item.file.size), 0);
+    const sent = items.map(() => 0);
+    return Promise.all(items.map((item, i) => item.uploadId || uploadFile(item.file, {
+      name: item.name,
+      type: item.type || item.file.type,
+      onProgress: (bytes) => {
+        sent[i] = bytes;
+        setProgress(Math.round((sent.reduce((a, b) => a + b, 0) / totalBytes) * 100));
+      },
+    })));
   };
 
   const handleGenerate = async () => {
     if (!canGenerate()) return;
     setStep(STEPS.PROCESSING);
     setProgress(0);
+    setProgressPhase({ video: 'Uploading video...', text: 'Starting generation...' }[inputType] || 'Uploading images...');
     setError(null);
 
     try {
+      // Rooms of a property are named "<address> — <room>"
+      let property = properties.find(p => p.id === propertyId);
+      if (propertyId === NEW_PROPERTY) {
+        const propRes = await fetch('/api/properties', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ address: newAddress.trim() }),
+        });
+        property = await propRes.json();
+        if (!propRes.ok) throw new Error(property.error || 'Failed to create property');
+        setProperties(prev => [property, ...prev]);
+        setPropertyId(property.id);
+        setNewAddress('');
+      }
+
       const body = {
-        name: name || 'Property Tour',
+        name: property ? `${property.address} — ${name || 'Room'}` : (name || 'Property Tour'),
         mode,
         inputType,
         layoutMode,
       };
-      if (inputType === 'video') {
-        body.video = { name: video.name, data: video.data };
+      if (variants.length > 0) {
+        body.variants = variants;
+      }
+      if (property) {
+        body.propertyId = property.id;
+        body.roomName = name || 'Room';
+      }
+
+      const media = { video: [video], panorama: [panorama], text: [] }[inputType] || images;
+      const uploadIds = await uploadMedia(media);
+      setProgress(0);
+      if (inputType === 'video' && isTrimmed(video)) {
+        setProgressPhase('Trimming video...');
+        const clip = await postJson(`/api/uploads/${uploadIds[0]}/trim`, { start: video.start, end: video.end });
+        body.video = { name: clip.fileName, uploadId: clip.id };
+      } else if (inputType === 'video') {
+        body.video = { name: video.name, uploadId: uploadIds[0] };
+      } else if (inputType === 'text') {
+        body.text = text.trim();
       } else if (inputType === 'panorama') {
-        body.panorama = { name: panorama.name, data: panorama.data };
+        body.panorama = { name: panorama.name, uploadId: uploadIds[0] };
       } else {
-        body.images = images.map(img => ({
+        body.images = images.map((img, i) => ({
           name: img.name,
           type: img.type,
-          data: img.data,
-          direction: img.direction,
+          uploadId: uploadIds[i],
+          // Angles set before switching to Auto Layout are not sent
+          azimuth: layoutMode === 'direction' ? img.azimuth ?? undefined : undefined,
         }));
       }
 
-      const response = await fetch('/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-      });
-
-      const responseText = await response.text();
-      let data;
-      try { data = JSON.parse(responseText); } catch {
-        throw new Error(`Server error (${response.status}): ${responseText.substring(0, 200)}`);
-      }
-      if (!response.ok) throw new Error((data.error || 'Generation failed') + (data.details ? ' - ' + JSON.stringify(data.details) : ''));
-
-      const operationId = data.operationId;
-      let completed = false;
-
-      while (!completed) {
-        await new Promise(r => setTimeout(r, 3000));
-        const statusRes = await fetch(`/api/status?operationId=${operationId}`);
-        const statusData = await statusRes.json();
-
-        if (statusData.done) {
-          if (statusData.error) throw new Error(statusData.error.message || 'Generation failed');
-          completed = true;
-          const worldId = statusData.response?.world_id || statusData.response?.id;
-          let viewUrl = `https://platform.worldlabs.ai/worlds/${worldId}`;
-          try {
-            const worldRes = await fetch(`/api/world?worldId=${worldId}`);
-            if (worldRes.ok) {
-              const worldData = await worldRes.json();
-              viewUrl = worldData.world_marble_url || viewUrl;
-            }
-          } catch (e) { console.error('Failed to fetch world details', e); }
-          const newResult = { worldId, viewUrl, name: name || 'Property Tour', createdAt: new Date().toLocaleString() };
-          setResult(newResult);
-          setWorlds(prev => [newResult, ...prev]);
-          setStep(STEPS.DONE);
-        } else {
-          setProgress(statusData.metadata?.progress_pct || Math.min(progress + 3, 95));
+      // Blur, exposure and overlap problems are shown before anything is spent
+      if (inputType !== 'video' && inputType !== 'text') {
+        setProgressPhase('Checking photos...');
+        const check = await postJson('/api/preflight', body);
+        if (check.issues.length > 0) {
+          setReview({ body, issues: check.issues });
+          setStep(STEPS.REVIEW);
+          return;
         }
       }
+
+      await startJob(body);
     } catch (err) {
-      console.error('Generate error:', err);
-      setError(err.message || JSON.stringify(err));
-      setStep(STEPS.ERROR);
+      showError(err);
+    }
+  };
+
+  const postJson = async (url, body) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const responseText = await response.text();
+    let data;
+    try { data = JSON.parse(responseText); } catch {
+      throw new Error(`Server error (${response.status}): ${responseText.substring(0, 200)}`);
+    }
+    if (!response.ok) {
+      const blocking = (data.issues || []).filter(issue => issue.severity === 'error').map(issue => issue.message);
+      throw new Error((data.error || 'Request failed') + (blocking.length ? ': ' + blocking.join('; ') : ''));
+    }
+    return data;
+  };
+
+  const startJob = async (body) => {
+    setProgressPhase('Starting generation...');
+    const data = await postJson('/api/generate', body);
+    // Variants are followed on their comparison page
+    if (data.groupId) {
+      router.push(`/variants/${data.groupId}`);
+      return;
+    }
+    localStorage.setItem(ACTIVE_JOB_KEY, data.jobId);
+    await followJob(data.jobId);
+  };
+
+  const generateAnyway = async () => {
+    setStep(STEPS.PROCESSING);
+    setProgress(0);
+    try {
+      await startJob(review.body);
+    } catch (err) {
+      showError(err);
     }
   };
 
@@ -196,7 +501,12 @@ export default function Home() {
     setResult(null);
     setError(null);
     setVideo(null);
-    setPanorama(null);
+    removePanorama();
+    setText('');
+    setVariants([]);
+    setReview(null);
+    setShowEmbed(false);
+    setVideoStatus(null);
   };
 
   return (
@@ -314,15 +624,12 @@ export default function Home() {
           position: absolute; top: 6px; right: 6px; width: 22px; height: 22px;
           border-radius: 50%; background: rgba(0,0,0,0.7); backdrop-filter: blur(4px);
           color: white; border: none; cursor: pointer; font-size: 12px;
-          display: flex; align-items: center; justify-content: center;
+          display: flex; align-items: center; justify-content: center; z-index: 1;
         }
-        .dir-select {
-          position: absolute; bottom: 0; left: 0; right: 0;
-          background: rgba(0,0,0,0.75); backdrop-filter: blur(8px);
-          padding: 4px; border: none; color: #fff; font-size: 0.7rem;
-          text-align: center; cursor: pointer; width: 100%;
+        .dial-overlay {
+          position: absolute; inset: 0; display: flex; align-items: center; justify-content: center;
+          background: rgba(0,0,0,0.3);
         }
-        .dir-select option { background: #1a1a2e; }
 
         /* Video preview */
         .video-preview {
@@ -338,11 +645,44 @@ export default function Home() {
         }
 
         /* Panorama preview */
+        .trim-panel { margin-top: 12px; }
+        .trim-row { display: flex; align-items: center; gap: 12px; margin-bottom: 10px; }
+        .trim-row label { color: #6b6b80; font-size: 0.82rem; min-width: 90px; }
+        .trim-row input[type=range] { flex: 1; accent-color: #667eea; }
+        .keyframe-row { margin-top: 8px; }
+        .keyframe-row .input-field { width: auto; }
+        .keyframe-row .btn { flex: 1; margin-top: 0; padding: 12px; font-size: 0.95rem; }
         .pano-preview {
           border-radius: 16px; overflow: hidden; margin-top: 16px;
           border: 1px solid rgba(255,255,255,0.08); position: relative;
         }
-        .pano-preview img { width: 100%; max-height: 200px; object-fit: cover; }
+        .pano-preview img { display: block; width: 100%; aspect-ratio: 2 / 1; object-fit: cover; }
+        .pano-report { margin-top: 8px; }
+        .pano-report li { color: #6b6b80; font-size: 0.82rem; margin-left: 18px; }
+
+        /* Text prompt */
+        .template-row { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 12px; }
+        .template-chip {
+          display: inline-flex; align-items: center; border-radius: 20px;
+          border: 1px solid rgba(255,255,255,0.08); background: rgba(255,255,255,0.03);
+          transition: all 0.2s;
+        }
+        .template-chip.active { background: rgba(102,126,234,0.12); border-color: rgba(102,126,234,0.4); }
+        .template-chip button {
+          background: none; border: none; color: #a0a0b8; font-size: 0.75rem;
+          padding: 5px 10px; cursor: pointer;
+        }
+        .template-chip .template-delete { padding: 5px 8px 5px 0; color: #6b6b80; }
+        .text-prompt { resize: vertical; font-family: inherit; line-height: 1.5; }
+        .text-prompt-footer { display: flex; justify-content: space-between; align-items: center; margin-top: 8px; }
+        .link-btn { background: none; border: none; color: #667eea; font-size: 0.8rem; cursor: pointer; }
+        .link-btn:disabled { color: #4a4a5c; cursor: not-allowed; }
+
+        /* Style variants */
+        .variant-row { display: flex; gap: 6px; margin-bottom: 6px; align-items: center; }
+        .variant-row .input-field { padding: 10px 12px; font-size: 0.85rem; }
+        .variant-row .variant-label { flex: 0 0 34%; }
+        .remove-variant { background: none; border: none; color: #6b6b80; font-size: 1.1rem; cursor: pointer; padding: 0 4px; }
 
         /* Inputs */
         .input-group { margin-bottom: 14px; }
@@ -355,6 +695,8 @@ export default function Home() {
         .input-field:focus { border-color: rgba(102,126,234,0.5); }
         select.input-field { cursor: pointer; }
         select.input-field option { background: #1a1a2e; }
+        .cost-line { font-size: 0.78rem; color: #6b6b80; }
+        .cost-line.over { color: #ff6b8a; }
 
         /* Buttons */
         .btn {
@@ -386,7 +728,7 @@ export default function Home() {
         .tips-content {
           max-height: 0; overflow: hidden; transition: max-height 0.4s ease;
         }
-        .tips-content.open { max-height: 600px; }
+        .tips-content.open { max-height: 900px; }
         .tip-group { margin-bottom: 14px; }
         .tip-group h4 { font-size: 0.82rem; color: #667eea; margin-bottom: 6px; }
         .tip-group p { font-size: 0.78rem; color: #5a5a6e; line-height: 1.5; }
@@ -431,6 +773,16 @@ export default function Home() {
         .viewer-cta { color: #667eea; font-size: 1.1rem; font-weight: 600; }
         .viewer-sub { color: #4a4a5c; font-size: 0.82rem; margin-top: 6px; }
         .viewer-actions { display: flex; gap: 8px; padding: 16px; }
+        .qr-card { display: flex; gap: 16px; align-items: center; margin-top: 16px; }
+        .qr-card img { width: 96px; height: 96px; border-radius: 8px; background: #fff; flex-shrink: 0; }
+        .qr-info p { font-size: 0.8rem; color: #6b6b80; margin-bottom: 10px; }
+        .qr-links { display: flex; gap: 8px; }
+        .embed-box { padding: 0 16px 16px; }
+        .embed-box p { font-size: 0.78rem; color: #6b6b80; margin-bottom: 8px; }
+        .embed-box textarea {
+          width: 100%; padding: 10px 12px; border-radius: 12px; border: 1px solid rgba(255,255,255,0.08);
+          background: rgba(0,0,0,0.3); color: #a0a0b8; font: 0.75rem/1.4 monospace; resize: none; margin-bottom: 8px;
+        }
         .action-btn {
           flex: 1; padding: 12px; border-radius: 12px; border: 1px solid rgba(255,255,255,0.08);
           background: rgba(255,255,255,0.03); color: #a0a0b8; font-size: 0.85rem;
@@ -464,6 +816,10 @@ export default function Home() {
         /* Error */
         .error-section { text-align: center; padding: 80px 20px; animation: fadeInUp 0.5s ease; }
         .error-icon { font-size: 3rem; margin-bottom: 16px; }
+        .issue-list { list-style: none; margin-bottom: 16px; }
+        .issue { font-size: 0.85rem; line-height: 1.5; padding: 10px 12px; border-radius: 10px; margin-bottom: 8px; }
+        .issue-warning { color: #f5c06b; background: rgba(245,192,107,0.08); }
+        .issue-error { color: #ff6b8a; background: rgba(255,107,138,0.08); }
         .error-msg { color: #ff6b8a; margin-bottom: 20px; font-size: 0.9rem; line-height: 1.5; padding: 16px; background: rgba(255,107,138,0.08); border-radius: 12px; border: 1px solid rgba(255,107,138,0.15); }
 
         /* Responsive */
@@ -483,7 +839,19 @@ export default function Home() {
         <div className="container">
           <div className="header">
             <h1>🏠 3D Property Tours</h1>
-            <p>Upload photos, video, or panoramas → immersive 3D walkthrough</p>
+            <p>Upload photos, video, or panoramas — or describe a room → immersive 3D walkthrough</p>
+            <p style={{ marginTop: 8, fontSize: '0.82rem' }}>
+              <Link href="/properties" style={{ color: '#667eea', textDecoration: 'none' }}>🏘️ Properties</Link>
+              {' · '}
+              <Link href="/leads" style={{ color: '#667eea', textDecoration: 'none' }}>📥 Leads</Link>
+              {user && (
+                <>
+                  {' · '}
+                  <a href="#" onClick={(e) => { e.preventDefault(); logout(); }}
+                    style={{ color: '#6b6b80', textDecoration: 'none' }}>Sign out {user.name}</a>
+                </>
+              )}
+            </p>
           </div>
 
           {/* ========== UPLOAD ========== */}
@@ -496,6 +864,7 @@ export default function Home() {
                     { key: 'images', icon: '📸', label: 'Photos' },
                     { key: 'video', icon: '🎬', label: 'Video' },
                     { key: 'panorama', icon: '🌐', label: 'Panorama' },
+                    { key: 'text', icon: '✏️', label: 'Text' },
                   ].map(t => (
                     <button key={t.key} className={`tab ${inputType === t.key ? 'active' : ''}`}
                       onClick={() => setInputType(t.key)}>
@@ -511,12 +880,12 @@ export default function Home() {
                       <button className={`toggle-btn ${layoutMode === 'auto' ? 'active' : ''}`}
                         onClick={() => setLayoutMode('auto')}>
                         🔄 Auto Layout
-                        <div className="toggle-desc">Up to 8 photos, AI positions them</div>
+                        <div className="toggle-desc">Up to {MAX_IMAGES.auto} photos, AI positions them</div>
                       </button>
                       <button className={`toggle-btn ${layoutMode === 'direction' ? 'active' : ''}`}
                         onClick={() => setLayoutMode('direction')}>
                         🧭 Direction Control
-                        <div className="toggle-desc">Up to 4 photos, you set directions</div>
+                        <div className="toggle-desc">Up to {MAX_IMAGES.direction} photos, you set the angles</div>
                       </button>
                     </div>
 
@@ -535,7 +904,7 @@ export default function Home() {
                       )}
                     </div>
 
-                    <input ref={fileInputRef} type="file" accept="image/*" multiple
+                    <input ref={fileInputRef} type="file" accept="image/jpeg,image/png,image/webp,.heic,.heif" multiple
                       onChange={handleFileInput} style={{ display: 'none' }} />
 
                     {images.length > 0 && (
@@ -545,14 +914,11 @@ export default function Home() {
                             <img src={img.preview} alt={img.name} />
                             <button className="remove-btn" onClick={() => removeImage(i)}>×</button>
                             {layoutMode === 'direction' && (
-                              <select className="dir-select" value={img.direction || ''}
-                                onChange={(e) => setImageDirection(i, e.target.value || null)}
-                                onClick={(e) => e.stopPropagation()}>
-                                <option value="">Direction...</option>
-                                {DIRECTIONS.map(d => (
-                                  <option key={d} value={d}>{DIR_LABELS[d]}</option>
-                                ))}
-                              </select>
+                              <div className="dial-overlay">
+                                <CompassDial azimuth={img.azimuth}
+                                  taken={images.filter((other, j) => j !== i && other.azimuth !== null).map(other => other.azimuth)}
+                                  onChange={(azimuth) => setImageAzimuth(i, azimuth)} />
+                              </div>
                             )}
                           </div>
                         ))}
@@ -569,15 +935,50 @@ export default function Home() {
                         <div className="upload-icon">🎬</div>
                         <div className="upload-text">
                           <strong>Upload a video</strong><br/>
-                          MP4 or MOV, under 100MB<br/>
+                          MP4 or MOV, under 500MB<br/>
                           10–30 second walkthrough works best
                         </div>
                       </div>
                     ) : (
-                      <div className="video-preview">
-                        <video src={video.preview} controls muted />
-                        <button className="video-remove" onClick={() => setVideo(null)}>✕ Remove</button>
-                      </div>
+                      <>
+                        <div className="video-preview">
+                          <video ref={videoRef} src={video.preview} controls muted onLoadedMetadata={handleVideoMetadata} />
+                          <button className="video-remove" onClick={() => { setVideo(null); setVideoStatus(null); }}>✕ Remove</button>
+                        </div>
+                        {video.duration > 0 && (
+                          <div className="trim-panel">
+                            <div className="trim-row">
+                              <label>Start {formatClock(video.start)}</label>
+                              <input type="range" min={0} max={video.duration} step={0.1} value={video.start}
+                                onChange={(e) => setTrim('start', Number(e.target.value))} />
+                            </div>
+                            <div className="trim-row">
+                              <label>End {formatClock(video.end)}</label>
+                              <input type="range" min={0} max={video.duration} step={0.1} value={video.end}
+                                onChange={(e) => setTrim('end', Number(e.target.value))} />
+                            </div>
+                            <p className={`cost-line ${video.end - video.start > 30 ? 'over' : ''}`}>
+                              Clip: {formatClock(video.end - video.start)}
+                              {video.end - video.start > 30
+                                ? ' — 10–30 seconds works best. Trim it, or turn it into photos below.'
+                                : isTrimmed(video) ? ' (trimmed before generating)' : ''}
+                            </p>
+                            <div className="trim-row keyframe-row">
+                              <select className="input-field" value={keyframeCount}
+                                onChange={(e) => setKeyframeCount(Number(e.target.value))}>
+                                {KEYFRAME_COUNTS.map(n => <option key={n} value={n}>{n} frames</option>)}
+                              </select>
+                              <button className="btn btn-ghost" onClick={handleExtractKeyframes}
+                                disabled={videoStatus && !videoStatus.error}>
+                                🖼️ Extract Keyframes
+                              </button>
+                            </div>
+                            {videoStatus && (
+                              <p className={videoStatus.error ? 'error-msg' : 'cost-line'}>{videoStatus.text}</p>
+                            )}
+                          </div>
+                        )}
+                      </>
                     )}
                     <input ref={videoInputRef} type="file" accept="video/mp4,video/quicktime,video/mov"
                       onChange={handleVideoFile} style={{ display: 'none' }} />
@@ -596,32 +997,122 @@ export default function Home() {
                         </div>
                       </div>
                     ) : (
-                      <div className="pano-preview">
-                        <img src={panorama.preview} alt="Panorama" />
-                        <button className="video-remove" onClick={() => setPanorama(null)}>✕ Remove</button>
-                      </div>
+                      <>
+                        <div className="pano-preview">
+                          <img src={panorama.preview} alt="Panorama" />
+                          <button className="video-remove" onClick={removePanorama}>✕ Remove</button>
+                        </div>
+                        {panorama.report && (
+                          <div className="pano-report">
+                            <p className="cost-line">
+                              Preview of what will be sent: 2:1 equirectangular, covering {panorama.report.coverage.horizontal}° × {panorama.report.coverage.vertical}°
+                            </p>
+                            {panorama.report.notes.length > 0 && (
+                              <ul>{panorama.report.notes.map(note => <li key={note}>{note}</li>)}</ul>
+                            )}
+                          </div>
+                        )}
+                        {panoStatus && (
+                          <p className={panoStatus.error ? 'error-msg' : 'cost-line'}>{panoStatus.text}</p>
+                        )}
+                      </>
                     )}
-                    <input ref={panoInputRef} type="file" accept="image/*"
+                    <input ref={panoInputRef} type="file" accept="image/jpeg,image/png,image/webp,.heic,.heif"
                       onChange={handlePanoFile} style={{ display: 'none' }} />
                   </>
                 )}
+
+                {/* Text mode */}
+                {inputType === 'text' && (
+                  <>
+                    <div className="template-row">
+                      {templates.map(t => (
+                        <span key={t.id} className={`template-chip ${text === t.text ? 'active' : ''}`}>
+                          <button onClick={() => setText(t.text)}>{t.name}</button>
+                          {!t.builtin && (
+                            <button className="template-delete" title="Delete template"
+                              onClick={() => deleteTemplate(t)}>×</button>
+                          )}
+                        </span>
+                      ))}
+                    </div>
+                    <textarea className="input-field text-prompt" rows={6} maxLength={MAX_TEXT_PROMPT_LENGTH}
+                      placeholder="Describe the room, e.g. a bright open-plan living room with oak floors, a grey sofa and tall windows"
+                      value={text} onChange={(e) => setText(e.target.value)} />
+                    <div className="text-prompt-footer">
+                      <span className="cost-line">{text.length} / {MAX_TEXT_PROMPT_LENGTH}</span>
+                      <button className="link-btn" onClick={saveTemplate} disabled={!text.trim()}>
+                        💾 Save as template
+                      </button>
+                    </div>
+                  </>
+                )}
               </div>
 
               {/* Settings */}
               <div className="glass">
                 <div className="input-group">
-                  <label>Property Name</label>
+                  <label>Property</label>
+                  <select className="input-field" value={propertyId} onChange={(e) => setPropertyId(e.target.value)}>
+                    <option value="">Standalone world</option>
+                    {properties.map(p => (
+                      <option key={p.id} value={p.id}>{p.address}</option>
+                    ))}
+                    <option value={NEW_PROPERTY}>➕ New property...</option>
+                  </select>
+                </div>
+                {propertyId === NEW_PROPERTY && (
+                  <div className="input-group">
+                    <label>Property Address</label>
+                    <input className="input-field" type="text" placeholder="e.g. 123 Main St"
+                      value={newAddress} onChange={(e) => setNewAddress(e.target.value)} />
+                  </div>
+                )}
+                <div className="input-group">
+                  <label>{propertyId ? 'Room Name' : 'Property Name'}</label>
                   <input className="input-field" type="text"
-                    placeholder="e.g. 123 Main St — Living Room"
+                    placeholder={propertyId ? 'e.g. Living Room' : 'e.g. 123 Main St — Living Room'}
                     value={name} onChange={(e) => setName(e.target.value)} />
                 </div>
                 <div className="input-group">
                   <label>Quality</label>
                   <select className="input-field" value={mode} onChange={(e) => setMode(e.target.value)}>
-                    <option value="standard">Standard ($1.20) — Best quality</option>
-                    <option value="draft">Draft ($0.12) — Quick preview</option>
+                    <option value="standard">Standard ({formatUsd(costFor('standard').usd)}) — Best quality</option>
+                    <option value="draft">Draft ({formatUsd(costFor('draft').usd)}) — Quick preview</option>
                   </select>
                 </div>
+                <div className="input-group">
+                  <label>Style Variants</label>
+                  {variants.length === 0 ? (
+                    <button className="link-btn" onClick={() => setVariants(VARIANT_PRESETS.slice(0, 2))}>
+                      🎨 Compare style variants of this room
+                    </button>
+                  ) : (
+                    <>
+                      {variants.map((v, i) => (
+                        <div key={i} className="variant-row">
+                          <input className="input-field variant-label" type="text" placeholder="Label"
+                            value={v.label} onChange={(e) => updateVariant(i, { label: e.target.value })} />
+                          <input className="input-field" type="text" placeholder="Guidance, e.g. staged with mid-century furniture"
+                            value={v.guidance} onChange={(e) => updateVariant(i, { guidance: e.target.value })} />
+                          <button className="remove-variant" title="Remove variant"
+                            onClick={() => setVariants(prev => (prev.length > 2 ? prev.filter((_, j) => j !== i) : []))}>×</button>
+                        </div>
+                      ))}
+                      <div className="text-prompt-footer">
+                        <button className="link-btn" onClick={addVariant} disabled={variants.length >= MAX_VARIANTS}>
+                          ➕ Add variant
+                        </button>
+                        <button className="link-btn" onClick={() => setVariants([])}>Generate one world instead</button>
+                      </div>
+                    </>
+                  )}
+                </div>
+                <p className={`cost-line ${overBudget ? 'over' : ''}`}>
+                  Estimated cost: {formatUsd(cost.usd)} ({cost.credits.toLocaleString()} credits{worldCount > 1 && `, ${worldCount} worlds`})
+                  {remainingUsd != null && ` · ${formatUsd(Math.max(remainingUsd, 0))} left of ${formatUsd(spend.budgetUsd)} this month`}
+                  {overBudget && ' — over budget'}
+                </p>
               </div>
 
               {/* Tips */}
@@ -637,7 +1128,7 @@ export default function Home() {
                   </div>
                   <div className="tip-group">
                     <h4>🧭 Direction Control</h4>
-                    <p>Use distinct views — front door, backyard, kitchen, living room. Assign each photo its compass direction for precise placement.</p>
+                    <p>Use distinct views — front door, backyard, kitchen, living room. Drag each photo's dial to the angle it was shot at (0° is the front of the room); corner rooms shot at 45° steps can use all eight.</p>
                   </div>
                   <div className="tip-group">
                     <h4>🎬 Video</h4>
@@ -645,30 +1136,44 @@ export default function Home() {
                   </div>
                   <div className="tip-group">
                     <h4>🌐 Panorama</h4>
-                    <p>Use your phone's built-in pano mode. Keep the phone level and rotate smoothly. Works great for single rooms.</p>
+                    <p>Use your phone's built-in pano mode. Keep the phone level and rotate smoothly. Works great for single rooms. Partial strips are converted to a full 2:1 sphere with padded edges; check the preview before generating.</p>
+                  </div>
+                  <div className="tip-group">
+                    <h4>✏️ Text</h4>
+                    <p>Describe one room: style, materials, furniture and light. Good for concept rooms in pre-construction listings. Start from a template and adjust it, or save your own.</p>
+                  </div>
+                  <div className="tip-group">
+                    <h4>🎨 Style Variants</h4>
+                    <p>Generate the same room 2–4 times with different staging guidance, compare them side by side and publish the one you like. Each variant is billed as a separate world.</p>
                   </div>
                   <div className="tip-group">
                     <h4>🏠 Property Tours</h4>
                     <p>Shoot room by room. Capture corners and transitions between spaces. Good lighting and high resolution help. No blur!</p>
                   </div>
+                  <div className="tip-group">
+                    <h4>✅ Photo Checks</h4>
+                    <p>Photos are checked before generating: blurry, very dark or blown-out shots, mixed orientations and (for Auto Layout) shots that don't overlap are flagged. The worst problems block the generation.</p>
+                  </div>
                 </div>
               </div>
 
               <button className="btn btn-primary" onClick={handleGenerate} disabled={!canGenerate()}>
-                Generate 3D Tour →
+                {variants.length > 0 ? `Generate ${variants.length} Variants →` : 'Generate 3D Tour →'}
               </button>
 
               {/* World Gallery */}
               {worlds.length > 0 && (
                 <div className="gallery">
                   <div className="gallery-header">
-                    🌍 Your Worlds <span className="gallery-badge">{worlds.length}</span>
+                    🌍 Your Worlds <span className="gallery-badge">{gallery.length}</span>
                   </div>
                   <div className="gallery-grid">
-                    {worlds.map((w, i) => (
-                      <div key={i} className="gallery-item" onClick={() => window.open(w.viewUrl, '_blank')}>
-                        <div className="gallery-item-name">{w.name}</div>
-                        <div className="gallery-item-date">{w.createdAt}</div>
+                    {gallery.map((w, i) => (
+                      <div key={w.id || i} className="gallery-item" onClick={() => openWorld(w)}>
+                        <div className="gallery-item-name">{w.variantCount ? `🎨 ${w.name}` : w.name}</div>
+                        <div className="gallery-item-date">
+                          {w.variantCount ? `${w.variantCount} variants · ` : ''}{new Date(w.createdAt).toLocaleString()}
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -677,6 +1182,30 @@ export default function Home() {
             </>
           )}
 
+          {/* ========== REVIEW ========== */}
+          {step === STEPS.REVIEW && review && (
+            <div className="glass">
+              <h2 style={{ fontSize: '1.2rem', marginBottom: 12 }}>🔍 Check your photos</h2>
+              <ul className="issue-list">
+                {review.issues.map((issue, i) => (
+                  <li key={i} className={`issue issue-${issue.severity}`}>
+                    {issue.severity === 'error' ? '⛔' : '⚠️'} {issue.message}
+                  </li>
+                ))}
+              </ul>
+              {review.issues.some(issue => issue.severity === 'error') ? (
+                <p className="cost-line over" style={{ marginBottom: 10 }}>Replace the photos marked ⛔ first — they would waste a generation.</p>
+              ) : (
+                <button className="btn btn-primary" onClick={generateAnyway}>
+                  Generate Anyway ({formatUsd(cost.usd)})
+                </button>
+              )}
+              <button className="btn btn-ghost" onClick={() => setStep(STEPS.UPLOAD)} style={{ marginTop: 10 }}>
+                ← Change Photos
+              </button>
+            </div>
+          )}
+
           {/* ========== PROCESSING ========== */}
           {step === STEPS.PROCESSING && (
             <div className="processing">
@@ -699,57 +1228,91 @@ export default function Home() {
               </div>
 
               <div className="viewer-card">
-                <div className="viewer-box" onClick={() => window.open(result.viewUrl, '_blank')}>
+                <div className="viewer-box" onClick={() => window.open(tourPath(result.id), '_blank')}>
                   <div className="viewer-inner">
                     <div className="viewer-globe">🌍</div>
                     <p className="viewer-cta">Tap to Explore Your 3D World</p>
-                    <p className="viewer-sub">Opens in World Labs viewer • Drag to rotate, pinch to zoom</p>
+                    <p className="viewer-sub">Opens your branded tour page • Drag to rotate, pinch to zoom</p>
                   </div>
                 </div>
                 <div className="viewer-actions">
-                  <a className="action-btn" href={result.viewUrl} target="_blank" rel="noopener noreferrer">
+                  <a className="action-btn" href={tourPath(result.id)} target="_blank" rel="noopener noreferrer">
                     🔗 Full Screen
                   </a>
                   <button className="action-btn" onClick={() => {
-                    navigator.clipboard.writeText(result.viewUrl);
+                    navigator.clipboard.writeText(tourUrl(window.location.origin, result.id));
                     alert('Link copied!');
                   }}>📋 Copy Link</button>
                   <button className="action-btn" onClick={() => {
+                    const url = tourUrl(window.location.origin, result.id);
                     if (navigator.share) {
-                      navigator.share({ title: result.name, url: result.viewUrl });
+                      navigator.share({ title: result.name, text: `Take a 3D tour of ${result.name}`, url });
                     } else {
-                      navigator.clipboard.writeText(result.viewUrl);
+                      navigator.clipboard.writeText(url);
                       alert('Link copied!');
                     }
                   }}>📤 Share</button>
+                  <button className="action-btn" onClick={() => setShowEmbed(!showEmbed)}>{'</>'} Embed</button>
                 </div>
+                {showEmbed && (
+                  <div className="embed-box">
+                    <p>Paste this into a listing site to show the tour with your branding:</p>
+                    <textarea readOnly rows={3} value={embedSnippet(window.location.origin, result)}
+                      onFocus={(e) => e.target.select()} />
+                    <button className="action-btn" onClick={() => {
+                      navigator.clipboard.writeText(embedSnippet(window.location.origin, result));
+                      alert('Embed code copied!');
+                    }}>📋 Copy Embed Code</button>
+                  </div>
+                )}
               </div>
 
-              {/* Compose hint */}
-              <div className="glass" style={{ marginTop: 16, textAlign: 'center' }}>
-                <p style={{ color: '#6b6b80', fontSize: '0.82rem' }}>
-                  💡 Generate multiple rooms and compose them together on{' '}
-                  <a href="https://platform.worldlabs.ai" target="_blank" rel="noopener noreferrer"
-                    style={{ color: '#667eea', textDecoration: 'none' }}>
-                    World Labs Platform
-                  </a>
-                </p>
+              {/* QR code for yard signs and flyers */}
+              <div className="glass qr-card">
+                <img src={`/api/tours/${result.id}/qr?format=svg`} alt="QR code for this tour" />
+                <div className="qr-info">
+                  <p>Scan to open the tour — for yard signs, flyers and open-house handouts.</p>
+                  <div className="qr-links">
+                    <a className="action-btn" href={`/api/tours/${result.id}/qr?format=png&download=1`}>⬇️ PNG</a>
+                    <a className="action-btn" href={`/api/tours/${result.id}/qr?format=svg&download=1`}>⬇️ SVG</a>
+                  </div>
+                </div>
               </div>
 
+              {/* Listing details and property rooms */}
+              <div className="viewer-actions" style={{ padding: '16px 0 0' }}>
+                <Link className="action-btn" href={`/tours/${result.id}`}>🏷️ Listing Details</Link>
+                <a className="action-btn" href={`/api/tours/${result.id}/package`}>📦 Export Package</a>
+                {result.propertyId && (
+                  <Link className="action-btn" href={`/properties/${result.propertyId}`}>🏡 View Property</Link>
+                )}
+              </div>
+              {!result.propertyId && (
+                <div className="glass" style={{ marginTop: 16, textAlign: 'center' }}>
+                  <p style={{ color: '#6b6b80', fontSize: '0.82rem' }}>
+                    💡 Listing a whole house? Pick a{' '}
+                    <Link href="/properties" style={{ color: '#667eea', textDecoration: 'none' }}>property</Link>
+                    {' '}before generating and each room is added to one tour.
+                  </p>
+                </div>
+              )}
+
               <button className="btn btn-primary" onClick={reset} style={{ marginTop: 16 }}>
-                Create Another Tour
+                {result.propertyId ? 'Add Next Room' : 'Create Another Tour'}
               </button>
 
-              {worlds.length > 1 && (
+              {gallery.length > 1 && (
                 <div className="gallery">
                   <div className="gallery-header">
-                    🌍 All Your Worlds <span className="gallery-badge">{worlds.length}</span>
+                    🌍 All Your Worlds <span className="gallery-badge">{gallery.length}</span>
                   </div>
                   <div className="gallery-grid">
-                    {worlds.map((w, i) => (
-                      <div key={i} className="gallery-item" onClick={() => window.open(w.viewUrl, '_blank')}>
-                        <div className="gallery-item-name">{w.name}</div>
-                        <div className="gallery-item-date">{w.createdAt}</div>
+                    {gallery.map((w, i) => (
+                      <div key={w.id || i} className="gallery-item" onClick={() => openWorld(w)}>
+                        <div className="gallery-item-name">{w.variantCount ? `🎨 ${w.name}` : w.name}</div>
+                        <div className="gallery-item-date">
+                          {w.variantCount ? `${w.variantCount} variants · ` : ''}{new Date(w.createdAt).toLocaleString()}
+                        </div>
                       </div>
                     ))}
                   </div>
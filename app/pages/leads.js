@@ -0,0 +1,105 @@
+import { useState, useEffect, useCallback } from 'react';
+import Link from 'next/link';
+import Shell from '../components/Shell';
+
+const FILTERS = [
+  { key: 'new', label: 'New' },
+  { key: 'contacted', label: 'Contacted' },
+  { key: 'closed', label: 'Closed' },
+  { key: '', label: 'All' },
+];
+const KIND_LABELS = { showing: '📅 Showing request', question: '💬 Question' };
+
+export default function Leads() {
+  const [leads, setLeads] = useState(null);
+  const [filter, setFilter] = useState('new');
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const res = await fetch(`/api/leads${filter ? `?status=${filter}` : ''}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load leads');
+      setLeads(data.leads);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [filter]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const setStatus = async (lead, status) => {
+    const res = await fetch(`/api/leads/${lead.id}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ status }),
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Update failed');
+    }
+    await load();
+  };
+
+  return (
+    <Shell title="📥 Leads" subtitle="Showing requests and questions from your tour pages">
+      <style jsx>{`
+        .filters { display: flex; gap: 6px; margin-bottom: 16px; }
+        .filters button {
+          flex: 1; padding: 9px; border-radius: 10px; border: 1px solid rgba(255,255,255,0.08);
+          background: rgba(255,255,255,0.03); color: #6b6b80; font-size: 0.82rem; cursor: pointer;
+        }
+        .filters button.active { border-color: rgba(102,126,234,0.4); color: #e8e8ef; }
+        .lead-head { display: flex; justify-content: space-between; gap: 8px; margin-bottom: 6px; }
+        .lead-kind { font-size: 0.78rem; color: #667eea; font-weight: 600; }
+        .lead-date { font-size: 0.75rem; color: #4a4a5c; }
+        .lead-name { font-weight: 600; margin-bottom: 4px; }
+        .lead-contact { display: flex; gap: 14px; font-size: 0.85rem; margin-bottom: 8px; flex-wrap: wrap; }
+        .lead-contact a { color: #a0a0b8; text-decoration: none; }
+        .lead-message { font-size: 0.88rem; color: #c0c0d8; line-height: 1.5; white-space: pre-wrap; margin-bottom: 8px; }
+        .lead-foot { display: flex; justify-content: space-between; align-items: center; gap: 8px; font-size: 0.78rem; color: #6b6b80; }
+        .lead-foot select { width: auto; padding: 6px 10px; font-size: 0.8rem; }
+        .lead-foot :global(a) { color: #6b6b80; }
+      `}</style>
+
+      {error && <p className="error-msg">{error}</p>}
+
+      <div className="filters">
+        {FILTERS.map(f => (
+          <button key={f.key} className={filter === f.key ? 'active' : ''} onClick={() => setFilter(f.key)}>{f.label}</button>
+        ))}
+      </div>
+
+      {leads && leads.length === 0 && (
+        <div className="glass"><p className="muted">No {filter || ''} leads yet. Share your tour pages to collect them.</p></div>
+      )}
+
+      {leads?.map(lead => (
+        <div key={lead.id} className="glass">
+          <div className="lead-head">
+            <span className="lead-kind">{KIND_LABELS[lead.kind]}</span>
+            <span className="lead-date">{new Date(lead.createdAt).toLocaleString()}</span>
+          </div>
+          <div className="lead-name">{lead.name}</div>
+          <div className="lead-contact">
+            {lead.email && <a href={`mailto:${lead.email}`}>✉️ {lead.email}</a>}
+            {lead.phone && <a href={`tel:${lead.phone}`}>📞 {lead.phone}</a>}
+            {lead.preferredTime && <span>🕒 {lead.preferredTime}</span>}
+          </div>
+          {lead.message && <p className="lead-message">{lead.message}</p>}
+          <div className="lead-foot">
+            <span>
+              From <Link href={`/tour/${lead.tourId}`} target="_blank">{lead.propertyAddress || lead.tourName}</Link>
+              {lead.propertyAddress && ` — ${lead.tourName}`}
+            </span>
+            <select className="input-field" value={lead.status} onChange={(e) => setStatus(lead, e.target.value)}>
+              <option value="new">New</option>
+              <option value="contacted">Contacted</option>
+              <option value="closed">Closed</option>
+            </select>
+          </div>
+        </div>
+      ))}
+    </Shell>
+  );
+}
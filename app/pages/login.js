@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Shell from '../components/Shell';
+
+// Only same-site paths: "//host" and "/\host" are read by browsers as other
+// sites, and they drop tabs and newlines, so "/\t/host" is one too
+function localPath(next) {
+  return typeof next === 'string' && /^\/(?![/\\])/.test(next) && !/[\u0000-\u001f]/.test(next) ? next : '/';
+}
+
+export default function Login() {
+  const router = useRouter();
+  const [mode, setMode] = useState('login'); // login | register
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+  const [signupAllowed, setSignupAllowed] = useState(false);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetch('/api/auth/me').then(res => res.json()).then(data => {
+      if (data.user) return router.replace('/');
+      setSignupAllowed(data.signupAllowed);
+    }).catch(() => {});
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await fetch(`/api/auth/${mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, password, name }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Sign in failed');
+      router.replace(localPath(router.query.next));
+    } catch (err) {
+      setError(err.message);
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Shell title="🏠 3D Property Tours" subtitle={mode === 'login' ? 'Sign in to your agent account' : 'Create your agent account'} requireAuth={false}>
+      <form className="glass" onSubmit={handleSubmit} style={{ maxWidth: 420, margin: '0 auto' }}>
+        {error && <p className="error-msg">{error}</p>}
+        {mode === 'register' && (
+          <div className="input-group">
+            <label>Name</label>
+            <input className="input-field" type="text" value={name} onChange={(e) => setName(e.target.value)} />
+          </div>
+        )}
+        <div className="input-group">
+          <label>Email</label>
+          <input className="input-field" type="email" autoComplete="email" required
+            value={email} onChange={(e) => setEmail(e.target.value)} />
+        </div>
+        <div className="input-group">
+          <label>Password</label>
+          <input className="input-field" type="password" required minLength={mode === 'register' ? 8 : undefined}
+            autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+            value={password} onChange={(e) => setPassword(e.target.value)} />
+        </div>
+        <button className="btn btn-primary" type="submit" disabled={busy}>
+          {mode === 'login' ? 'Sign In' : 'Create Account'}
+        </button>
+        {signupAllowed && (
+          <button className="btn btn-ghost" type="button"
+            onClick={() => { setMode(mode === 'login' ? 'register' : 'login'); setError(null); }}>
+            {mode === 'login' ? 'New agent? Create an account' : 'Have an account? Sign in'}
+          </button>
+        )}
+      </form>
+    </Shell>
+  );
+}
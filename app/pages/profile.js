@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import Shell from '../components/Shell';
+
+const FIELDS = [
+  { key: 'name', label: 'Name', placeholder: 'Jane Smith' },
+  { key: 'brokerage', label: 'Brokerage', placeholder: 'Acme Realty' },
+  { key: 'phone', label: 'Phone', placeholder: '(555) 010-0000' },
+  { key: 'logoUrl', label: 'Logo URL', placeholder: 'https://example.com/logo.png' },
+];
+
+export default function Profile() {
+  const [form, setForm] = useState(null);
+  const [status, setStatus] = useState(null); // { text, error }
+
+  useEffect(() => {
+    fetch('/api/auth/me')
+      .then(res => res.ok ? res.json() : null)
+      .then(data => data && setForm(data.user))
+      .catch(e => setStatus({ text: e.message, error: true }));
+  }, []);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setStatus(null);
+    try {
+      const res = await fetch('/api/auth/me', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save');
+      setForm(data.user);
+      setStatus({ text: 'Saved — your tour pages show the new details.' });
+    } catch (err) {
+      setStatus({ text: err.message, error: true });
+    }
+  };
+
+  return (
+    <Shell title="👤 Profile" subtitle="Branding and contact details on your hosted tour pages">
+      {status && <p className={status.error ? 'error-msg' : 'muted'} style={{ marginBottom: 16 }}>{status.text}</p>}
+      {form && (
+        <form className="glass" onSubmit={handleSave}>
+          {FIELDS.map(field => (
+            <div key={field.key} className="input-group">
+              <label>{field.label}</label>
+              <input className="input-field" type="text" placeholder={field.placeholder}
+                value={form[field.key]} onChange={(e) => setForm({ ...form, [field.key]: e.target.value })} />
+            </div>
+          ))}
+          <div className="input-group">
+            <label>Brand Color</label>
+            <input type="color" value={form.brandColor || '#667eea'}
+              onChange={(e) => setForm({ ...form, brandColor: e.target.value })} />
+          </div>
+          <p className="muted">Buyers can reach you at {form.email}.</p>
+          <button className="btn btn-primary" type="submit">Save</button>
+        </form>
+      )}
+    </Shell>
+  );
+}
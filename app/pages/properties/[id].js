@@ -0,0 +1,151 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Shell from '../../components/Shell';
+
+const STATUS_LABELS = {
+  ready: '✅ Ready',
+  pending: '⏳ Queued',
+  running: '⏳ Generating',
+  failed: '❌ Failed',
+  missing: '⚠️ Missing',
+};
+
+export default function PropertyPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [property, setProperty] = useState(null);
+  const [current, setCurrent] = useState(0);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    if (!id) return;
+    try {
+      const res = await fetch(`/api/properties/${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load property');
+      setProperty(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Refresh while rooms are still generating
+  const generating = property?.rooms.some(r => r.status === 'pending' || r.status === 'running');
+  useEffect(() => {
+    if (!generating) return;
+    const interval = setInterval(load, 10000);
+    return () => clearInterval(interval);
+  }, [generating, load]);
+
+  const roomRequest = async (roomId, method, body) => {
+    const res = await fetch(`/api/properties/${id}/rooms/${roomId}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      setError(data.error || 'Room update failed');
+    }
+    await load();
+  };
+
+  const moveRoom = (index, delta) => {
+    roomRequest(property.rooms[index].id, 'PATCH', { position: index + delta });
+    if (current === index) setCurrent(index + delta);
+  };
+
+  const removeRoom = (index) => {
+    if (!confirm(`Remove "${property.rooms[index].name}" from this property?`)) return;
+    roomRequest(property.rooms[index].id, 'DELETE');
+    setCurrent(0);
+  };
+
+  if (!property) {
+    return (
+      <Shell title="🏘️ Property">
+        {error ? <p className="error-msg">{error}</p> : <p className="muted">Loading...</p>}
+      </Shell>
+    );
+  }
+
+  const rooms = property.rooms;
+  const room = rooms[current];
+
+  return (
+    <Shell title={`🏡 ${property.address}`} subtitle={`${rooms.length} room${rooms.length === 1 ? '' : 's'}`}>
+      <style jsx>{`
+        .viewer {
+          aspect-ratio: 16/10; border-radius: 20px; overflow: hidden; margin-bottom: 12px;
+          background: rgba(0,0,0,0.3); border: 1px solid rgba(255,255,255,0.06);
+          display: flex; align-items: center; justify-content: center;
+        }
+        .viewer iframe { width: 100%; height: 100%; border: none; }
+        .room-nav { display: flex; gap: 8px; align-items: center; margin-bottom: 16px; }
+        .room-title { flex: 2; text-align: center; font-weight: 600; }
+        .rooms { display: grid; gap: 8px; }
+        .room {
+          display: flex; align-items: center; gap: 10px; padding: 12px 14px; border-radius: 14px;
+          background: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.06); cursor: pointer;
+        }
+        .room.active { border-color: rgba(102,126,234,0.4); }
+        .room-index { color: #667eea; font-weight: 600; width: 20px; }
+        .room-name { flex: 1; color: #c0c0d8; }
+        .room-status { font-size: 0.75rem; color: #6b6b80; }
+        .icon-btn {
+          background: transparent; border: 1px solid rgba(255,255,255,0.08); color: #a0a0b8;
+          border-radius: 8px; padding: 4px 8px; cursor: pointer; font-size: 0.75rem;
+        }
+        .icon-btn:disabled { opacity: 0.3; cursor: not-allowed; }
+      `}</style>
+
+      {error && <p className="error-msg">{error}</p>}
+
+      {rooms.length === 0 ? (
+        <div className="glass"><p className="muted">No rooms yet. Add the first one below.</p></div>
+      ) : (
+        <>
+          <div className="viewer">
+            {room?.tour ? (
+              <iframe src={room.tour.viewUrl} title={room.name} allow="fullscreen; xr-spatial-tracking" allowFullScreen />
+            ) : (
+              <p className="muted">{STATUS_LABELS[room?.status] || ''}</p>
+            )}
+          </div>
+          <div className="room-nav">
+            <button className="action-btn" disabled={current === 0} onClick={() => setCurrent(current - 1)}>← Prev</button>
+            <span className="room-title">{room?.name}</span>
+            <button className="action-btn" disabled={current >= rooms.length - 1} onClick={() => setCurrent(current + 1)}>Next →</button>
+          </div>
+
+          <div className="rooms">
+            {rooms.map((r, i) => (
+              <div key={r.id} className={`room ${i === current ? 'active' : ''}`} onClick={() => setCurrent(i)}>
+                <span className="room-index">{i + 1}</span>
+                <span className="room-name">{r.name}</span>
+                <span className="room-status">{STATUS_LABELS[r.status]}</span>
+                {r.tourId && (
+                  <button className="icon-btn" title="Listing details"
+                    onClick={(e) => { e.stopPropagation(); router.push(`/tours/${r.tourId}`); }}>🏷️</button>
+                )}
+                <button className="icon-btn" disabled={i === 0}
+                  onClick={(e) => { e.stopPropagation(); moveRoom(i, -1); }}>↑</button>
+                <button className="icon-btn" disabled={i === rooms.length - 1}
+                  onClick={(e) => { e.stopPropagation(); moveRoom(i, 1); }}>↓</button>
+                <button className="icon-btn"
+                  onClick={(e) => { e.stopPropagation(); removeRoom(i); }}>✕</button>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+
+      <Link href={`/?propertyId=${property.id}`} className="btn btn-primary" style={{ marginTop: 20 }}>
+        ➕ Add Room
+      </Link>
+    </Shell>
+  );
+}
@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import Shell from '../../components/Shell';
+
+export default function Properties() {
+  const [properties, setProperties] = useState([]);
+  const [address, setAddress] = useState('');
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetch('/api/properties')
+      .then(res => res.json())
+      .then(data => setProperties(data.properties || []))
+      .catch(e => setError(e.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!address.trim()) return;
+    setError(null);
+    try {
+      const res = await fetch('/api/properties', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address: address.trim() }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to create property');
+      setProperties(prev => [data, ...prev]);
+      setAddress('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <Shell title="🏘️ Properties" subtitle="Group room worlds into one listing tour">
+      <style jsx>{`
+        .list { display: grid; gap: 10px; }
+        .list :global(.item) {
+          display: flex; justify-content: space-between; align-items: center;
+          padding: 16px; border-radius: 14px; text-decoration: none;
+          background: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.06);
+          color: #c0c0d8; transition: border-color 0.2s;
+        }
+        .list :global(.item:hover) { border-color: rgba(102,126,234,0.3); }
+        .rooms { font-size: 0.75rem; color: #667eea; background: rgba(102,126,234,0.12); padding: 2px 10px; border-radius: 12px; }
+      `}</style>
+
+      <form className="glass" onSubmit={handleCreate}>
+        <div className="input-group">
+          <label>New Property Address</label>
+          <input className="input-field" type="text" placeholder="e.g. 123 Main St"
+            value={address} onChange={(e) => setAddress(e.target.value)} />
+        </div>
+        <button className="btn btn-primary" type="submit" disabled={!address.trim()}>Add Property</button>
+      </form>
+
+      {error && <p className="error-msg">{error}</p>}
+
+      {loading ? (
+        <p className="muted">Loading...</p>
+      ) : properties.length === 0 ? (
+        <p className="muted">No properties yet.</p>
+      ) : (
+        <div className="list">
+          {properties.map(p => (
+            <Link key={p.id} href={`/properties/${p.id}`} className="item">
+              <span>{p.address}</span>
+              <span className="rooms">{p.rooms.length} room{p.rooms.length === 1 ? '' : 's'}</span>
+            </Link>
+          ))}
+        </div>
+      )}
+    </Shell>
+  );
+}
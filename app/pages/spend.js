@@ -0,0 +1,66 @@
+import { useState, useEffect } from 'react';
+import Shell from '../components/Shell';
+import { formatUsd } from '../lib/pricing';
+
+function SpendTable({ title, rows, label }) {
+  return (
+    <div className="glass">
+      <style jsx>{`
+        h3 { font-size: 0.9rem; color: #667eea; margin-bottom: 12px; }
+        table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+        th { text-align: left; color: #6b6b80; font-weight: 500; padding: 6px 0; }
+        td { padding: 8px 0; border-top: 1px solid rgba(255,255,255,0.05); color: #c0c0d8; }
+        .num { text-align: right; }
+      `}</style>
+      <h3>{title}</h3>
+      {rows.length === 0 ? <p className="muted">No spend recorded.</p> : (
+        <table>
+          <thead>
+            <tr><th>{label}</th><th className="num">Generations</th><th className="num">Credits</th><th className="num">Cost</th></tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => (
+              <tr key={i}>
+                <td>{row.name}</td>
+                <td className="num">{row.generations}</td>
+                <td className="num">{row.credits.toLocaleString()}</td>
+                <td className="num">{formatUsd(row.usd)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default function Spend() {
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetch('/api/spend')
+      .then(res => res.json())
+      .then(data => data.error ? setError(data.error) : setSummary(data))
+      .catch(e => setError(e.message));
+  }, []);
+
+  return (
+    <Shell title="💰 Spend" subtitle="World Labs credits used per agent and per tour">
+      {error && <p className="error-msg">{error}</p>}
+      {summary && (
+        <>
+          <div className="glass">
+            <p style={{ fontSize: '1.4rem', fontWeight: 600 }}>{formatUsd(summary.monthToDateUsd)} <span className="muted">team spend this month</span></p>
+            <p className="muted">
+              {summary.budgetUsd != null ? `Budget ${formatUsd(summary.budgetUsd)} per month` : 'No monthly budget set (BUDGET_MONTHLY_USD)'}
+              {' · '}{formatUsd(summary.totalUsd)} yours all time ({summary.totalCredits.toLocaleString()} credits)
+            </p>
+          </div>
+          <SpendTable title="By Agent" label="Agent" rows={summary.byAgent.map(r => ({ ...r, name: r.agent }))} />
+          <SpendTable title="By Tour" label="Tour" rows={summary.byTour} />
+        </>
+      )}
+    </Shell>
+  );
+}
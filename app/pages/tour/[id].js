@@ -0,0 +1,278 @@
+import { useEffect, useRef, useState } from 'react';
+import Head from 'next/head';
+import LeadForm from '../../components/LeadForm';
+import { hostedTour } from '../../lib/hostedTours';
+import { LEAD_KINDS } from '../../lib/leads';
+import { listingJsonLd } from '../../lib/listings';
+import { tourPath, tourUrl, requestOrigin } from '../../lib/links';
+import { trackTourEvent } from '../../lib/tracking';
+import { isViewerUrl } from '../../lib/worldlabs';
+
+const DEFAULT_BRAND_COLOR = '#667eea';
+const STATUS_LABELS = { 'coming-soon': 'Coming Soon', active: 'For Sale', pending: 'Pending', sold: 'Sold', 'off-market': 'Off Market' };
+
+// Heading and share text; the listing address (or the property's) leads when there is one
+function pageText({ tour, roomName, agent, listing }) {
+  const title = listing.address || tour.name;
+  const room = roomName || tour.name;
+  const subtitle = listing.address && room !== listing.address ? room : null;
+  const presenter = agent && ` Presented by ${agent.name}${agent.brokerage ? `, ${agent.brokerage}` : ''}.`;
+  return {
+    title,
+    subtitle,
+    pageTitle: subtitle ? `${title} — ${subtitle}` : title,
+    description: `Walk through ${subtitle ? `the ${subtitle} at ${title}` : title} in 3D.${presenter || ''}`,
+  };
+}
+
+function listingFacts(listing) {
+  return [
+    listing.price != null && `$${listing.price.toLocaleString('en-US')}`,
+    listing.beds != null && `${listing.beds} bd`,
+    listing.baths != null && `${listing.baths} ba`,
+    listing.squareFeet != null && `${listing.squareFeet.toLocaleString('en-US')} sq ft`,
+    listing.mlsNumber && `MLS# ${listing.mlsNumber}`,
+  ].filter(Boolean).join(' · ');
+}
+
+// Public: buyers open this without an account, and listing sites frame it with ?embed=1
+export async function getServerSideProps({ params, query, req }) {
+  const hosted = hostedTour(params.id);
+  if (!hosted) return { notFound: true };
+  const shareUrl = tourUrl(requestOrigin(req), hosted.tour.id);
+  const { pageTitle, description } = pageText(hosted);
+  return {
+    props: {
+      ...hosted,
+      embed: query.embed === '1',
+      shareUrl,
+      jsonLd: listingJsonLd({
+        listing: hosted.listing,
+        name: pageTitle,
+        description,
+        url: shareUrl,
+        image: hosted.tour.thumbnailUrl,
+        datePosted: hosted.tour.createdAt,
+        agent: hosted.agent,
+      }),
+      // ?contact=showing|question opens the contact form (linked from the embed badge)
+      contact: LEAD_KINDS.includes(query.contact) ? query.contact : null,
+    },
+  };
+}
+
+// Open Graph / Twitter card tags so shared links unfurl in iMessage, Facebook and email
+function ShareMeta({ title, description, url, image }) {
+  return (
+    <Head>
+      <meta name="description" content={description} />
+      <link rel="canonical" href={url} />
+      <meta property="og:type" content="website" />
+      <meta property="og:title" content={title} />
+      <meta property="og:description" content={description} />
+      <meta property="og:url" content={url} />
+      {image && <meta property="og:image" content={image} />}
+      <meta name="twitter:card" content={image ? 'summary_large_image' : 'summary'} />
+      <meta name="twitter:title" content={title} />
+      <meta name="twitter:description" content={description} />
+      {image && <meta name="twitter:image" content={image} />}
+    </Head>
+  );
+}
+
+// schema.org RealEstateListing so search engines and listing sites can read the listing facts
+function ListingJsonLd({ data }) {
+  // Escape "<" so a value can't close the script tag
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+  return (
+    <Head>
+      <script type="application/ld+json" dangerouslySetInnerHTML={{ __html: json }} />
+    </Head>
+  );
+}
+
+function AgentCard({ agent }) {
+  return (
+    <div className="agent">
+      <style jsx>{`
+        .agent { display: flex; align-items: center; gap: 14px; flex-wrap: wrap; }
+        .agent img { height: 40px; max-width: 140px; object-fit: contain; }
+        .agent-name { font-weight: 600; }
+        .agent-brokerage { color: #8a8aa0; font-size: 0.8rem; }
+        .agent-contact { display: flex; gap: 14px; font-size: 0.85rem; }
+        .agent-contact a { color: var(--brand); text-decoration: none; }
+      `}</style>
+      {agent.logoUrl && <img src={agent.logoUrl} alt={agent.brokerage || agent.name} />}
+      <div>
+        <div className="agent-name">{agent.name}</div>
+        {agent.brokerage && <div className="agent-brokerage">{agent.brokerage}</div>}
+      </div>
+      <div className="agent-contact">
+        {agent.phone && <a href={`tel:${agent.phone}`}>📞 {agent.phone}</a>}
+        <a href={`mailto:${agent.email}`}>✉️ Email</a>
+      </div>
+    </div>
+  );
+}
+
+export default function HostedTour({ tour, roomName, agent, listing, embed, shareUrl, jsonLd, contact }) {
+  const viewerRef = useRef(null);
+  const [contactKind, setContactKind] = useState(agent ? contact : null);
+  const { title, subtitle, pageTitle, description } = pageText({ tour, roomName, agent, listing });
+  const facts = listingFacts(listing);
+  const brand = agent?.brandColor || DEFAULT_BRAND_COLOR;
+  // Only World Labs pages are framed, whatever ended up in the record
+  const viewer = isViewerUrl(tour.viewUrl)
+    ? <iframe src={tour.viewUrl} title={tour.name} allow="fullscreen; xr-spatial-tracking" allowFullScreen />
+    : <p className="viewer-missing">This tour's viewer is unavailable.</p>;
+
+  const [shareNote, setShareNote] = useState(null);
+
+  // One view (or embed load) per page load, then time on page in visible stretches
+  useEffect(() => {
+    trackTourEvent(tour.id, embed ? 'embed' : 'view');
+    let visibleSince = document.visibilityState === 'visible' ? Date.now() : null;
+    const report = () => {
+      if (visibleSince == null) return;
+      const seconds = (Date.now() - visibleSince) / 1000;
+      visibleSince = null;
+      if (seconds >= 1) trackTourEvent(tour.id, 'time', { seconds });
+    };
+    const onVisibility = () => {
+      if (document.visibilityState === 'hidden') report();
+      else if (visibleSince == null) visibleSince = Date.now();
+    };
+    document.addEventListener('visibilitychange', onVisibility);
+    window.addEventListener('pagehide', report);
+    return () => {
+      report();
+      document.removeEventListener('visibilitychange', onVisibility);
+      window.removeEventListener('pagehide', report);
+    };
+  }, [tour.id, embed]);
+
+  const fullScreen = () => viewerRef.current?.requestFullscreen?.();
+
+  const share = async () => {
+    trackTourEvent(tour.id, 'share');
+    if (navigator.share) {
+      navigator.share({ title: pageTitle, text: description, url: shareUrl }).catch(() => {});
+    } else {
+      await navigator.clipboard.writeText(shareUrl);
+      setShareNote('Link copied');
+      setTimeout(() => setShareNote(null), 2000);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>{pageTitle}</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <ShareMeta title={pageTitle} description={description} url={shareUrl} image={tour.thumbnailUrl} />
+      <ListingJsonLd data={jsonLd} />
+
+      <style jsx global>{`
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        html, body { height: 100%; }
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+          background: #08080c; color: #e8e8ef;
+        }
+      `}</style>
+
+      <style jsx>{`
+        .page { --brand: ${brand}; height: 100vh; display: flex; flex-direction: column; }
+        .topbar {
+          display: flex; align-items: center; justify-content: space-between; gap: 12px;
+          padding: 14px 20px; border-bottom: 3px solid var(--brand); background: rgba(255,255,255,0.03);
+        }
+        .title h1 { font-size: 1.15rem; font-weight: 700; }
+        .title p { color: #8a8aa0; font-size: 0.85rem; }
+        .title .facts { color: #c0c0d8; }
+        .status {
+          display: inline-block; margin-left: 8px; padding: 2px 8px; border-radius: 6px; vertical-align: middle;
+          background: var(--brand); color: #fff; font-size: 0.7rem; font-weight: 600;
+        }
+        .viewer { flex: 1; position: relative; background: #000; }
+        .viewer iframe { position: absolute; inset: 0; width: 100%; height: 100%; border: none; }
+        .viewer-missing { position: absolute; inset: 0; margin: 0; display: flex; align-items: center; justify-content: center; color: #aaa; }
+        .topbar-actions { display: flex; gap: 8px; }
+        .fs-btn {
+          padding: 8px 14px; border-radius: 10px; border: 1px solid rgba(255,255,255,0.12);
+          background: transparent; color: #c0c0d8; font-size: 0.8rem; cursor: pointer; white-space: nowrap;
+        }
+        .footer {
+          display: flex; align-items: center; justify-content: space-between; gap: 12px; flex-wrap: wrap;
+          padding: 14px 20px; background: rgba(255,255,255,0.03);
+        }
+        .contact-actions { display: flex; gap: 8px; }
+        .contact-btn {
+          padding: 10px 16px; border-radius: 10px; border: none; font-size: 0.85rem; font-weight: 600;
+          background: var(--brand); color: #fff; cursor: pointer;
+        }
+        .contact-btn.secondary { background: transparent; border: 1px solid var(--brand); color: #e8e8ef; }
+
+        /* Embedded: the world fills the frame with a small branded badge */
+        .page.embed .viewer { height: 100vh; }
+        .badge {
+          position: absolute; left: 12px; bottom: 12px; max-width: calc(100% - 24px);
+          padding: 8px 12px; border-radius: 12px; border-left: 3px solid var(--brand);
+          background: rgba(0,0,0,0.65); backdrop-filter: blur(8px); font-size: 0.78rem;
+        }
+        .badge strong { display: block; font-size: 0.85rem; }
+        .badge a { color: var(--brand); text-decoration: none; }
+      `}</style>
+
+      {embed ? (
+        <div className="page embed">
+          <div className="viewer" ref={viewerRef}>
+            {viewer}
+            <div className="badge">
+              <strong>{title}{subtitle && ` — ${subtitle}`}</strong>
+              {agent && `${agent.name}${agent.brokerage ? ` · ${agent.brokerage}` : ''} · `}
+              <a href={tourPath(tour.id)} target="_blank" rel="noopener">Open full tour ↗</a>
+              {agent && (
+                <>
+                  {' · '}
+                  <a href={`${tourPath(tour.id)}?contact=showing`} target="_blank" rel="noopener">Request a showing ↗</a>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      ) : (
+        <div className="page">
+          <header className="topbar">
+            <div className="title">
+              <h1>{title}{listing.status && <span className="status">{STATUS_LABELS[listing.status]}</span>}</h1>
+              {subtitle && <p>{subtitle}</p>}
+              {facts && <p className="facts">{facts}</p>}
+            </div>
+            <div className="topbar-actions">
+              <button className="fs-btn" onClick={share}>{shareNote || '🔗 Share'}</button>
+              <button className="fs-btn" onClick={fullScreen}>⛶ Full Screen</button>
+            </div>
+          </header>
+          <div className="viewer" ref={viewerRef}>
+            {viewer}
+          </div>
+          {agent && (
+            <footer className="footer">
+              <AgentCard agent={agent} />
+              <div className="contact-actions">
+                <button className="contact-btn" onClick={() => setContactKind('showing')}>📅 Request a Showing</button>
+                <button className="contact-btn secondary" onClick={() => setContactKind('question')}>💬 Ask a Question</button>
+              </div>
+            </footer>
+          )}
+          {contactKind && (
+            <LeadForm key={contactKind} tourId={tour.id} agentName={agent.name} initialKind={contactKind}
+              onClose={() => setContactKind(null)} />
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Shell from '../../components/Shell';
+import { tourPath } from '../../lib/links';
+
+const FIELDS = [
+  { key: 'address', label: 'Address', placeholder: '123 Main St, Springfield, IL 62701' },
+  { key: 'price', label: 'List Price (USD)', placeholder: '850000', inputMode: 'numeric' },
+  { key: 'beds', label: 'Beds', placeholder: '3', inputMode: 'numeric' },
+  { key: 'baths', label: 'Baths', placeholder: '2.5', inputMode: 'decimal' },
+  { key: 'squareFeet', label: 'Square Feet', placeholder: '1850', inputMode: 'numeric' },
+  { key: 'mlsNumber', label: 'MLS Number', placeholder: 'MLS-123456' },
+];
+const STATUSES = [
+  { key: '', label: '—' },
+  { key: 'coming-soon', label: 'Coming Soon' },
+  { key: 'active', label: 'Active' },
+  { key: 'pending', label: 'Pending' },
+  { key: 'sold', label: 'Sold' },
+  { key: 'off-market', label: 'Off Market' },
+];
+
+// Form state holds strings; empty fields clear the value on save
+function toForm(listing = {}) {
+  const form = { status: listing.status || '' };
+  for (const field of FIELDS) form[field.key] = listing[field.key] == null ? '' : String(listing[field.key]);
+  return form;
+}
+
+export default function TourListing() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [tour, setTour] = useState(null);
+  const [form, setForm] = useState(null);
+  const [status, setStatus] = useState(null); // { text, error }
+
+  useEffect(() => {
+    if (!id) return;
+    fetch(`/api/tours/${id}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load tour');
+        setTour(data);
+        setForm(toForm(data.listing));
+      })
+      .catch(e => setStatus({ text: e.message, error: true }));
+  }, [id]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setStatus(null);
+    try {
+      const res = await fetch(`/api/tours/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ listing: form }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save');
+      setTour(data);
+      setForm(toForm(data.listing));
+      setStatus({ text: 'Saved — the tour page and listing feed show the new details.' });
+    } catch (err) {
+      setStatus({ text: err.message, error: true });
+    }
+  };
+
+  return (
+    <Shell title="🏷️ Listing Details" subtitle={tour?.name}>
+      <style jsx>{`
+        .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 0 12px; }
+        .grid .full { grid-column: 1 / -1; }
+        .links { display: flex; gap: 16px; font-size: 0.85rem; margin-bottom: 16px; }
+        .links :global(a) { color: #667eea; text-decoration: none; }
+      `}</style>
+
+      {status && <p className={status.error ? 'error-msg' : 'muted'} style={{ marginBottom: 16 }}>{status.text}</p>}
+      {tour && (
+        <div className="links">
+          <a href={tourPath(tour.id)} target="_blank" rel="noopener">Open tour page ↗</a>
+          <Link href={`/analytics?tourId=${encodeURIComponent(tour.id)}`}>📈 Analytics</Link>
+          <a href="/api/tours/feed?format=csv&download=1">⬇️ Listing feed (CSV)</a>
+          <a href={`/api/tours/${tour.id}/package`}>📦 Export package</a>
+        </div>
+      )}
+      {form && (
+        <form className="glass" onSubmit={handleSave}>
+          <div className="grid">
+            {FIELDS.map(field => (
+              <div key={field.key} className={`input-group ${field.key === 'address' ? 'full' : ''}`}>
+                <label>{field.label}</label>
+                <input className="input-field" type="text" placeholder={field.placeholder} inputMode={field.inputMode}
+                  value={form[field.key]} onChange={(e) => setForm({ ...form, [field.key]: e.target.value })} />
+              </div>
+            ))}
+            <div className="input-group">
+              <label>Status</label>
+              <select className="input-field" value={form.status} onChange={(e) => setForm({ ...form, status: e.target.value })}>
+                {STATUSES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+              </select>
+            </div>
+          </div>
+          {tour.propertyId && !form.address && (
+            <p className="muted">Leave the address empty to use the property's address.</p>
+          )}
+          <button className="btn btn-primary" type="submit">Save</button>
+        </form>
+      )}
+    </Shell>
+  );
+}
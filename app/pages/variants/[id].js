@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Shell from '../../components/Shell';
+
+const STATUS_LABELS = {
+  ready: '✅ Ready',
+  pending: '⏳ Queued',
+  running: '⏳ Generating',
+  failed: '❌ Failed',
+  missing: '⚠️ Missing',
+};
+
+export default function VariantsPage() {
+  const router = useRouter();
+  const { id } = router.query;
+  const [group, setGroup] = useState(null);
+  const [error, setError] = useState(null);
+  const [publishing, setPublishing] = useState(null); // variant ID
+
+  const load = useCallback(async () => {
+    if (!id) return;
+    try {
+      const res = await fetch(`/api/variants/${id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load variants');
+      setGroup(data);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Refresh while variants are still generating
+  const generating = group?.variants.some(v => v.status === 'pending' || v.status === 'running');
+  useEffect(() => {
+    if (!generating) return;
+    const interval = setInterval(load, 10000);
+    return () => clearInterval(interval);
+  }, [generating, load]);
+
+  const publish = async (variant) => {
+    setPublishing(variant.id);
+    setError(null);
+    try {
+      const res = await fetch(`/api/variants/${id}/publish`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ variantId: variant.id }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Publish failed');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPublishing(null);
+    }
+  };
+
+  if (!group) {
+    return (
+      <Shell title="🎨 Variants">
+        {error ? <p className="error-msg">{error}</p> : <p className="muted">Loading...</p>}
+      </Shell>
+    );
+  }
+
+  const published = group.variants.find(v => v.id === group.publishedVariantId);
+
+  return (
+    <Shell wide title={`🎨 ${group.name}`}
+      subtitle={published ? `Published: ${published.label}` : `${group.variants.length} variants — pick one to publish`}>
+      <style jsx>{`
+        .compare { display: grid; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); gap: 16px; }
+        .variant {
+          background: rgba(255,255,255,0.03); border: 1px solid rgba(255,255,255,0.06);
+          border-radius: 20px; padding: 14px; display: flex; flex-direction: column;
+        }
+        .variant.published { border-color: rgba(102,126,234,0.6); }
+        .viewer {
+          aspect-ratio: 4/3; border-radius: 14px; overflow: hidden; margin-bottom: 12px;
+          background: rgba(0,0,0,0.3); display: flex; align-items: center; justify-content: center;
+        }
+        .viewer iframe { width: 100%; height: 100%; border: none; }
+        .variant-head { display: flex; justify-content: space-between; align-items: baseline; gap: 8px; }
+        .variant-label { font-weight: 600; color: #c0c0d8; }
+        .variant-status { font-size: 0.75rem; color: #6b6b80; }
+        .variant-guidance { font-size: 0.78rem; color: #6b6b80; line-height: 1.5; margin: 6px 0 4px; flex: 1; }
+        .variant-error { font-size: 0.75rem; color: #ff6b8a; margin-bottom: 4px; }
+      `}</style>
+
+      {error && <p className="error-msg">{error}</p>}
+
+      <div className="compare">
+        {group.variants.map(v => (
+          <div key={v.id} className={`variant ${v.id === group.publishedVariantId ? 'published' : ''}`}>
+            <div className="viewer">
+              {v.tour ? (
+                <iframe src={v.tour.viewUrl} title={v.label} allow="fullscreen; xr-spatial-tracking" allowFullScreen />
+              ) : (
+                <p className="muted">
+                  {STATUS_LABELS[v.status]}{v.status === 'running' && ` ${Math.round(v.progress)}%`}
+                </p>
+              )}
+            </div>
+            <div className="variant-head">
+              <span className="variant-label">{v.label}</span>
+              <span className="variant-status">
+                {v.id === group.publishedVariantId ? '⭐ Published' : STATUS_LABELS[v.status]}
+              </span>
+            </div>
+            <p className="variant-guidance">{v.guidance || 'No extra guidance'}</p>
+            {v.error && <p className="variant-error">{v.error}</p>}
+            <button className="btn btn-primary" onClick={() => publish(v)}
+              disabled={v.status !== 'ready' || v.id === group.publishedVariantId || publishing !== null}>
+              {v.id === group.publishedVariantId ? 'Published' : publishing === v.id ? 'Publishing...' : 'Publish This One'}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {group.propertyId && (
+        <Link href={`/properties/${group.propertyId}`} className="btn btn-ghost" style={{ marginTop: 20 }}>
+          🏘️ {published ? 'View Property' : 'The room is added to the property when you publish'}
+        </Link>
+      )}
+    </Shell>
+  );
+}
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-test-'));
+process.env.TOURS_DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { createRateLimiter } = require('../lib/rateLimit');
+const { recordEvent, analyticsSummary } = require('../lib/analytics');
+const { createTour } = require('../lib/tours');
+
+const tour = createTour({ name: 'Kitchen', worldId: 'w-analytics', ownerId: 'u1' });
+
+test('a rate limiter counts per key and starts over each window', () => {
+  const withinLimit = createRateLimiter({ limit: 2, windowMs: 1000 });
+  assert.equal(withinLimit('a', 0), true);
+  assert.equal(withinLimit('a', 10), true);
+  assert.equal(withinLimit('a', 20), false);
+  assert.equal(withinLimit('b', 20), true);
+  assert.equal(withinLimit('a', 1000), true);
+});
+
+test('repeat reports from a visitor are dropped', () => {
+  const view = { tourId: tour.id, type: 'view', visitorId: 'v1', address: '10.0.0.1' };
+  assert.deepEqual(recordEvent(view), { recorded: true });
+  assert.deepEqual(recordEvent(view), { recorded: false });
+  assert.deepEqual(recordEvent({ ...view, visitorId: 'v2' }), { recorded: true });
+  assert.match(recordEvent({ ...view, type: 'time', seconds: 0 }).error, /seconds/);
+
+  const { totals } = analyticsSummary(row => row.tourId === tour.id);
+  assert.equal(totals.views, 2);
+  assert.equal(totals.uniqueVisitors, 2);
+});
+
+test('each address is throttled whatever visitor IDs it sends', () => {
+  let result;
+  for (let i = 0; i < 200 && !result?.limited; i++) {
+    result = recordEvent({ tourId: tour.id, type: 'share', visitorId: `bot-${i}`, address: '10.0.0.9' });
+  }
+  assert.deepEqual(result, { limited: true, error: 'Too many reports' });
+  assert.deepEqual(recordEvent({ tourId: tour.id, type: 'share', visitorId: 'v1', address: '10.0.0.10' }), { recorded: true });
+});
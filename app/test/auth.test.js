@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+process.env.TOURS_DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { createUser, authenticate, signupError, owns } = require('../lib/auth');
+const { createTour, getTour, getTourForWorld, updateTour } = require('../lib/tours');
+
+const ana = createUser({ email: 'ana@example.com', password: 'correct horse', name: 'Ana' });
+const bo = createUser({ email: 'bo@example.com', password: 'battery staple', name: 'Bo' });
+
+test('owns matches records to their agent only', () => {
+  const tour = createTour({ name: 'Kitchen', worldId: 'w-owns', ownerId: ana.id });
+  assert.equal(owns(ana, tour), true);
+  assert.equal(owns(bo, tour), false);
+  assert.equal(owns(ana, null), false);
+  assert.equal(owns(ana, { name: 'No owner' }), false);
+});
+
+test("an agent can't reach another agent's world", () => {
+  createTour({ name: 'Den', worldId: 'w-ana', ownerId: ana.id });
+  assert.equal(getTourForWorld('w-ana', ana.id).name, 'Den');
+  assert.equal(getTourForWorld('w-ana', bo.id), null);
+  assert.equal(getTourForWorld('w-ana', undefined), null);
+  assert.equal(getTourForWorld(undefined, ana.id), null);
+});
+
+test("tour edits can't claim a world or point at uploads", () => {
+  const tour = createTour({ name: 'Hall', worldId: 'w-bo', viewUrl: 'https://marble.worldlabs.ai/world/w-bo', ownerId: bo.id });
+  updateTour(tour.id, {
+    name: 'Renamed',
+    worldId: 'w-ana',
+    viewUrl: 'javascript:alert(1)',
+    inputs: [{ name: 'x.jpg', uploadId: 'someone-elses' }],
+    ownerId: ana.id,
+  });
+  const updated = getTour(tour.id);
+  assert.equal(updated.name, 'Renamed');
+  assert.equal(updated.worldId, 'w-bo');
+  assert.equal(updated.viewUrl, 'https://marble.worldlabs.ai/world/w-bo');
+  assert.equal(updated.inputs, undefined);
+  assert.equal(updated.ownerId, bo.id);
+  assert.equal(getTourForWorld('w-ana', bo.id), null);
+});
+
+test('authenticate matches the password and refuses non-string credentials', () => {
+  assert.equal(authenticate('ANA@example.com ', 'correct horse').id, ana.id);
+  assert.equal(authenticate('ana@example.com', 'wrong horse'), null);
+  assert.equal(authenticate('nobody@example.com', 'correct horse'), null);
+  assert.equal(authenticate('ana@example.com', 12345678), null);
+  assert.equal(authenticate('ana@example.com', ['correct horse']), null);
+  assert.equal(authenticate({ $ne: '' }, 'correct horse'), null);
+});
+
+test('signupError refuses non-string and short credentials', () => {
+  assert.equal(signupError({ email: 'cy@example.com', password: 'long enough' }), null);
+  assert.match(signupError({ email: 'cy@example.com', password: 12345678 }), /at least 8 characters/);
+  assert.match(signupError({ email: 'cy@example.com', password: { length: 9 } }), /at least 8 characters/);
+  assert.match(signupError({ email: 'cy@example.com', password: 'short' }), /at least 8 characters/);
+  assert.match(signupError({ email: ['cy@example.com'], password: 'long enough' }), /Valid email/);
+  assert.match(signupError({ password: 'long enough' }), /Valid email/);
+});
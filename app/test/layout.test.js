@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_IMAGES,
+  parseAzimuth,
+  imageAzimuth,
+  compassPoint,
+  splitAzimuth,
+  layoutError,
+  resolveLayout,
+  parseImageArgs,
+} = require('../lib/layout');
+
+const photos = (count, fields = {}) => Array.from({ length: count }, () => ({ ...fields }));
+
+test('parseAzimuth wraps into whole degrees 0-359', () => {
+  assert.equal(parseAzimuth(135), 135);
+  assert.equal(parseAzimuth('-45'), 315);
+  assert.equal(parseAzimuth(400), 40);
+  assert.equal(parseAzimuth(359.6), 0);
+  assert.equal(parseAzimuth(''), null);
+  assert.equal(parseAzimuth(null), null);
+  assert.equal(parseAzimuth('north'), null);
+});
+
+test('imageAzimuth prefers degrees and still reads the old direction names', () => {
+  assert.equal(imageAzimuth({ azimuth: 90, direction: 'back' }), 90);
+  assert.equal(imageAzimuth({ direction: 'left' }), 270);
+  assert.equal(imageAzimuth({ azimuth: 0 }), 0);
+  assert.equal(imageAzimuth({ direction: 'up' }), null);
+  assert.equal(imageAzimuth({}), null);
+});
+
+test('compassPoint names the nearest of eight points', () => {
+  assert.equal(compassPoint(0), 'Front');
+  assert.equal(compassPoint(135), 'Back-right');
+  assert.equal(compassPoint(350), 'Front');
+});
+
+test('splitAzimuth reads a trailing @degrees', () => {
+  assert.deepEqual(splitAzimuth('office.jpg@135'), { path: 'office.jpg', azimuth: 135 });
+  assert.deepEqual(splitAzimuth('office.jpg@-90'), { path: 'office.jpg', azimuth: 270 });
+  assert.deepEqual(splitAzimuth('office.jpg'), { path: 'office.jpg', azimuth: null });
+  assert.deepEqual(splitAzimuth('me@home.jpg'), { path: 'me@home.jpg', azimuth: null });
+});
+
+test('layoutError enforces the photo limit and an angle per directed photo', () => {
+  assert.equal(layoutError('auto', photos(MAX_IMAGES.auto)), null);
+  assert.match(layoutError('auto', photos(MAX_IMAGES.auto + 1)), /up to 8 photos/);
+  assert.match(layoutError('direction', photos(MAX_IMAGES.direction + 1, { azimuth: 0 })), /up to 8 photos/);
+  assert.match(layoutError('direction', [{ azimuth: 0 }, {}]), /needs an angle/);
+  assert.equal(layoutError('direction', [{ azimuth: 0 }, { direction: 'back' }]), null);
+  assert.match(layoutError('grid', photos(2)), /auto or direction/);
+});
+
+test('resolveLayout picks the layout from the angles when none is given', () => {
+  assert.deepEqual(resolveLayout(undefined, photos(3)), { layoutMode: 'auto' });
+  assert.deepEqual(resolveLayout(undefined, [{ azimuth: 0 }, { azimuth: 180 }]), { layoutMode: 'direction' });
+  assert.deepEqual(resolveLayout('direction', [{ azimuth: 0 }, { direction: 'back' }]), { layoutMode: 'direction' });
+});
+
+test('resolveLayout refuses angles with Auto Layout', () => {
+  assert.match(resolveLayout('auto', [{ azimuth: 0 }, {}]).error, /only apply to Direction Control/);
+  assert.match(resolveLayout(undefined, [{ azimuth: 0 }, {}]).error, /needs an angle/);
+});
+
+test('parseImageArgs resolves CLI photo lists the same way', () => {
+  assert.deepEqual(parseImageArgs(['a.jpg', 'b.jpg']), { paths: ['a.jpg', 'b.jpg'], layoutMode: 'auto', azimuths: null });
+  assert.deepEqual(parseImageArgs(['a.jpg@0', 'b.jpg@135']), {
+    paths: ['a.jpg', 'b.jpg'],
+    layoutMode: 'direction',
+    azimuths: [0, 135],
+  });
+  assert.ok(parseImageArgs(['a.jpg@0', 'b.jpg@135'], 'auto').error);
+  assert.ok(parseImageArgs(['a.jpg', 'b.jpg'], 'direction').error);
+});
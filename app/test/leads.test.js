@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leads-test-'));
+process.env.TOURS_DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { MAX_LEADS_PER_WINDOW, createLead, listLeads } = require('../lib/leads');
+const { createTour } = require('../lib/tours');
+
+const tour = createTour({ name: 'Kitchen', worldId: 'w-leads', ownerId: 'u1' });
+const showing = { tourId: tour.id, kind: 'showing', name: 'Cy', email: 'CY@example.com', preferredTime: 'Saturday' };
+
+test('createLead files the lead with the tour owner', () => {
+  const { lead } = createLead({ ...showing, address: '10.0.0.1' });
+  assert.equal(lead.ownerId, 'u1');
+  assert.equal(lead.email, 'cy@example.com');
+  assert.equal(lead.status, 'new');
+  assert.match(createLead({ ...showing, tourId: 'nope', address: '10.0.0.1' }).error, /Tour not found/);
+  assert.match(createLead({ ...showing, email: '', address: '10.0.0.1' }).error, /email address or phone/);
+});
+
+test('createLead limits each address, counting rejected submissions', () => {
+  const stored = listLeads().length;
+  for (let i = 0; i < MAX_LEADS_PER_WINDOW - 1; i++) {
+    assert.ok(createLead({ ...showing, address: '10.0.0.2' }).lead);
+  }
+  assert.match(createLead({ ...showing, name: '', address: '10.0.0.2' }).error, /your name/);
+  assert.deepEqual(createLead({ ...showing, address: '10.0.0.2' }), { limited: true, error: 'Too many requests, please try again later' });
+  assert.equal(listLeads().length, stored + MAX_LEADS_PER_WINDOW - 1);
+  // Other buyers are not affected
+  assert.ok(createLead({ ...showing, address: '10.0.0.3' }).lead);
+});
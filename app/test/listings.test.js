@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// listingFor looks up properties; keep the store away from the app's data
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'listings-test-'));
+process.env.TOURS_DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { RESO_FIELDS, parseListing, listingFor, listingJsonLd, resoRecord, resoCsv } = require('../lib/listings');
+
+test('parseListing normalizes prices, counts and statuses', () => {
+  const { listing } = parseListing({
+    address: '  123 Main St  ',
+    price: '$1,250,000',
+    beds: '3',
+    baths: 2.5,
+    squareFeet: '1,800.4',
+    status: 'active',
+  });
+  assert.deepEqual(listing, {
+    address: '123 Main St',
+    price: 1250000,
+    beds: 3,
+    baths: 2.5,
+    squareFeet: 1800,
+    mlsNumber: null,
+    status: 'active',
+  });
+});
+
+test('parseListing keeps omitted fields and clears blank ones', () => {
+  const current = { price: 500000, beds: 2, mlsNumber: 'ML123' };
+  const { listing } = parseListing({ beds: '', mlsNumber: null }, current);
+  assert.equal(listing.price, 500000);
+  assert.equal(listing.beds, null);
+  assert.equal(listing.mlsNumber, null);
+});
+
+test('parseListing reports the first invalid field', () => {
+  assert.match(parseListing({ price: 'a lot' }).error, /Price/);
+  assert.match(parseListing({ beds: 2.5 }).error, /Beds/);
+  assert.match(parseListing({ baths: 2.3 }).error, /half number/);
+  assert.match(parseListing({ status: 'rented' }).error, /status must be one of/);
+  assert.match(parseListing({ address: 'x'.repeat(201) }).error, /too long/);
+});
+
+test('listingFor fills in every field', () => {
+  const listing = listingFor({ id: 't1', listing: { price: 1 } });
+  assert.equal(listing.price, 1);
+  assert.equal(listing.address, null);
+  assert.equal(listing.status, null);
+});
+
+test('listingJsonLd only claims what is known', () => {
+  const page = { name: 'Kitchen', description: 'A tour', url: 'https://example.com/tour/t1', datePosted: '2026-01-01' };
+  const bare = listingJsonLd({ ...page, listing: listingFor({}) });
+  assert.deepEqual(Object.keys(bare).sort(), ['@context', '@type', 'datePosted', 'description', 'name', 'url']);
+
+  const full = listingJsonLd({
+    ...page,
+    listing: { address: '1 Elm St', price: 400000, beds: 2, baths: 1, squareFeet: 900, mlsNumber: 'ML9', status: 'sold' },
+    agent: { name: 'Ana', email: 'ana@example.com' },
+  });
+  assert.equal(full['@type'], 'RealEstateListing');
+  assert.deepEqual(full.identifier, { '@type': 'PropertyValue', propertyID: 'MLS', value: 'ML9' });
+  assert.deepEqual(full.offers, { '@type': 'Offer', price: 400000, priceCurrency: 'USD', availability: 'https://schema.org/SoldOut' });
+  assert.deepEqual(full.about.floorSize, { '@type': 'QuantitativeValue', value: 900, unitCode: 'FTK' });
+  assert.deepEqual(full.provider, { '@type': 'RealEstateAgent', name: 'Ana', email: 'ana@example.com' });
+});
+
+test('resoRecord splits baths and links both viewers', () => {
+  const tour = {
+    id: 't1',
+    viewUrl: 'https://marble.worldlabs.ai/world/w1',
+    updatedAt: '2026-02-03T04:05:06.000Z',
+    listing: { baths: 2.5, squareFeet: 1200, status: 'off-market', mlsNumber: 'ML7' },
+  };
+  const record = resoRecord(tour, 'https://tours.example.com/');
+  assert.deepEqual(Object.keys(record), RESO_FIELDS);
+  assert.equal(record.ListingId, 'ML7');
+  assert.equal(record.BathroomsFull, 2);
+  assert.equal(record.BathroomsHalf, 1);
+  assert.equal(record.BathroomsTotalInteger, 3);
+  assert.equal(record.LivingAreaUnits, 'Square Feet');
+  assert.equal(record.StandardStatus, 'Withdrawn');
+  assert.equal(record.VirtualTourURLBranded, 'https://tours.example.com/tour/t1');
+  assert.equal(record.VirtualTourURLUnbranded, tour.viewUrl);
+});
+
+test('resoCsv quotes cells that need it', () => {
+  const csv = resoCsv([{ ListingId: 'ML1', UnparsedAddress: '1 "Elm", Apt 2', ListPrice: 0 }]);
+  const [header, row, end] = csv.split('\r\n');
+  assert.equal(header, RESO_FIELDS.join(','));
+  assert.ok(row.startsWith('ML1,"1 ""Elm"", Apt 2",0,'));
+  assert.equal(end, '');
+});
+
+test('resoCsv keeps text from running as a formula', () => {
+  const csv = resoCsv([
+    { ListingId: '=HYPERLINK("https://evil.example")', UnparsedAddress: '@SUM(A1)', ListPrice: 0 },
+    { ListingId: '+1', UnparsedAddress: '-2 Elm St', ListPrice: 400000 },
+  ]);
+  const [, first, second] = csv.split('\r\n');
+  assert.ok(first.startsWith(`"'=HYPERLINK(""https://evil.example"")",'@SUM(A1),0,`));
+  assert.ok(second.startsWith("'+1,'-2 Elm St,400000,"));
+});
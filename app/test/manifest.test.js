@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadManifest } = require('../lib/manifest');
+const { MODELS, MAX_TEXT_PROMPT_LENGTH } = require('../lib/worldlabs');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-test-'));
+for (const name of ['a.jpg', 'b.jpg', 'c.jpg', 'walk.mp4']) {
+  fs.writeFileSync(path.join(dir, name), '');
+}
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeManifest(name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test('reads rooms with their inputs, quality and layout', () => {
+  const file = writeManifest('house.yaml', `
+property: 123 Main St
+quality: draft
+concurrency: 3
+rooms:
+  - name: Kitchen
+    images: [a.jpg, b.jpg]
+  - name: Office
+    images: [a.jpg@0, b.jpg@135, c.jpg@270]
+    quality: standard
+  - name: Walkthrough
+    video: walk.mp4
+  - name: Loft
+    text: Modern loft with exposed brick
+  - name: Nook
+    images: [c.jpg]
+`);
+  const { property, concurrency, rooms } = loadManifest(file);
+  assert.equal(property, '123 Main St');
+  assert.equal(concurrency, 3);
+  assert.deepEqual(rooms.map(r => r.mode), ['multi', 'multi', 'video', 'text', 'multi']);
+
+  const [kitchen, office, walk, loft, nook] = rooms;
+  assert.equal(kitchen.model, MODELS.draft);
+  assert.equal(kitchen.layoutMode, 'auto');
+  assert.equal(kitchen.azimuths, undefined);
+  assert.deepEqual(kitchen.inputs, [path.join(dir, 'a.jpg'), path.join(dir, 'b.jpg')]);
+
+  assert.equal(office.model, MODELS.standard);
+  assert.equal(office.layoutMode, 'direction');
+  assert.deepEqual(office.azimuths, [0, 135, 270]);
+
+  assert.equal(walk.input, path.join(dir, 'walk.mp4'));
+  assert.equal(loft.input, 'Modern loft with exposed brick');
+  assert.deepEqual(nook.inputs, [path.join(dir, 'c.jpg')]);
+});
+
+test('a room layout overrides the top-level one', () => {
+  const file = writeManifest('layout.json', JSON.stringify({
+    layout: 'direction',
+    rooms: [
+      { name: 'Den', images: ['a.jpg@90', 'b.jpg@270'] },
+      { name: 'Hall', images: ['a.jpg', 'b.jpg'], layout: 'auto' },
+    ],
+  }));
+  const [den, hall] = loadManifest(file).rooms;
+  assert.equal(den.layoutMode, 'direction');
+  assert.equal(hall.layoutMode, 'auto');
+});
+
+test('lists every problem at once', () => {
+  const file = writeManifest('bad.yaml', `
+layout: auto
+concurrency: 0
+rooms:
+  - images: [a.jpg, b.jpg]
+  - name: Angled
+    images: [a.jpg@0, b.jpg@90]
+  - name: Missing
+    image: nope.jpg
+  - name: Both
+    image: a.jpg
+    video: walk.mp4
+  - name: Long
+    text: ${'x'.repeat(MAX_TEXT_PROMPT_LENGTH + 1)}
+  - name: Odd
+    image: a.jpg
+    quality: ultra
+  - name: Empty
+    images: []
+`);
+  assert.throws(() => loadManifest(file), (error) => {
+    const problems = error.message.split('\n').slice(1);
+    assert.equal(problems.length, 8);
+    assert.match(error.message, /Room #1: missing name/);
+    assert.match(error.message, /Room "Angled": Photo angles only apply/);
+    assert.match(error.message, /Room "Missing": file not found/);
+    assert.match(error.message, /Room "Both": needs exactly one of/);
+    assert.match(error.message, /Room "Long": "text" is over/);
+    assert.match(error.message, /Room "Odd": unknown quality "ultra"/);
+    assert.match(error.message, /Room "Empty": "images" needs a list of photos/);
+    assert.match(error.message, /"concurrency" must be a positive integer/);
+    return true;
+  });
+});
+
+test('refuses a manifest without rooms', () => {
+  const file = writeManifest('empty.json', '{"rooms": []}');
+  assert.throws(() => loadManifest(file), /non-empty "rooms" list/);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { MODELS } = require('../lib/worldlabs');
+const { PanoramaError, normalizePanorama } = require('../lib/panorama');
+
+// A JPEG with a light sky above a dark floor, so padding colors can be checked
+async function panoramaJpeg(width, height) {
+  const half = Math.round(height / 2);
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 210, b: 230 } } })
+    .composite([{
+      input: { create: { width, height: height - half, channels: 3, background: { r: 60, g: 50, b: 40 } } },
+      left: 0,
+      top: half,
+    }])
+    .jpeg()
+    .toBuffer();
+}
+
+async function pixel(data, x, y) {
+  const { data: raw, info } = await sharp(data).raw().toBuffer({ resolveWithObject: true });
+  const i = (y * info.width + x) * info.channels;
+  return [raw[i], raw[i + 1], raw[i + 2]];
+}
+
+test('2:1 panoramas are kept and sized for the model', async () => {
+  const input = await panoramaJpeg(3000, 1500);
+  const standard = await normalizePanorama(input, { model: MODELS.standard });
+  assert.equal(standard.report.projection, 'equirectangular');
+  assert.deepEqual([standard.width, standard.height], [3000, 1500]);
+  assert.deepEqual(standard.report.notes, []);
+
+  const draft = await normalizePanorama(input, { model: MODELS.draft });
+  assert.deepEqual([draft.width, draft.height], [2048, 1024]);
+  assert.equal(draft.mimeType, 'image/jpeg');
+});
+
+test('nearly 2:1 images are stretched to exactly 2:1', async () => {
+  const result = await normalizePanorama(await panoramaJpeg(1040, 500));
+  assert.deepEqual([result.width, result.height], [1040, 520]);
+  assert.match(result.report.notes[0], /Stretched from 2.08:1/);
+});
+
+test('wide strips are reprojected as cylindrical panos and padded', async () => {
+  const result = await normalizePanorama(await panoramaJpeg(1200, 400), { model: MODELS.draft });
+  assert.equal(result.report.projection, 'cylindrical');
+  assert.equal(result.width, result.height * 2);
+  assert.deepEqual(result.report.source, { width: 1200, height: 400, aspect: '3:1' });
+  // 3:1 at a 65° vertical field of view sweeps about 219° around
+  assert.equal(result.report.coverage.horizontal, 219);
+  assert.ok(result.report.coverage.vertical < 90);
+  assert.match(result.report.notes[0], /top, bottom and sides padded/);
+
+  // The poles are padded with the strip's top and bottom colors
+  const [top, bottom] = [await pixel(result.data, 0, 0), await pixel(result.data, 0, result.height - 1)];
+  assert.ok(top[2] > 200 && bottom[0] < 80, `top ${top}, bottom ${bottom}`);
+});
+
+test('images narrower than 2:1 are not panoramas', async () => {
+  await assert.rejects(
+    normalizePanorama(await panoramaJpeg(800, 600)),
+    (error) => error instanceof PanoramaError && /1.33:1 image, not a 360° panorama/.test(error.message),
+  );
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'spend-test-'));
+process.env.TOURS_DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { MODELS } = require('../lib/worldlabs');
+const { estimateCost, formatUsd } = require('../lib/pricing');
+const { recordSpend, attachSpendToTour, checkBudget, spendSummary } = require('../lib/ledger');
+
+test('estimateCost prices each model in credits and dollars', () => {
+  assert.deepEqual(estimateCost({ model: MODELS.standard }), { credits: 1500, usd: 1.2 });
+  assert.deepEqual(estimateCost({ model: MODELS.draft, inputType: 'video' }), { credits: 150, usd: 0.12 });
+  // Input types without their own price cost the same as photos
+  assert.deepEqual(estimateCost({ model: MODELS.draft, inputType: 'hologram' }), estimateCost({ model: MODELS.draft }));
+  assert.throws(() => estimateCost({ model: 'Marble 9' }), /No pricing/);
+});
+
+test('formatUsd shows cents', () => {
+  assert.equal(formatUsd(1.2), '$1.20');
+  assert.equal(formatUsd(0), '$0.00');
+});
+
+test('the ledger sums spend per agent and tour and guards the budget', (t) => {
+  t.after(() => { delete process.env.BUDGET_MONTHLY_USD; });
+  const entry = { model: MODELS.standard, inputType: 'images', credits: 1500, usd: 1.2, source: 'web' };
+  recordSpend({ ...entry, operationId: 'op-1', agent: 'ana@example.com', ownerId: 'u1' });
+  recordSpend({ ...entry, operationId: 'op-2', agent: 'ana@example.com', ownerId: 'u1' });
+  recordSpend({ ...entry, operationId: 'op-3', agent: 'bo@example.com', ownerId: 'u2', credits: 150, usd: 0.12 });
+  attachSpendToTour('op-1', 't1');
+
+  const summary = spendSummary();
+  assert.equal(summary.totalUsd, 2.52);
+  assert.equal(summary.totalCredits, 3150);
+  assert.equal(summary.monthToDateUsd, 2.52);
+  assert.equal(summary.budgetUsd, null);
+  assert.deepEqual(summary.byAgent.map(a => [a.agent, a.generations, a.usd]), [
+    ['ana@example.com', 2, 2.4],
+    ['bo@example.com', 1, 0.12],
+  ]);
+  assert.deepEqual(summary.byTour.find(row => row.tourId === 't1'), { tourId: 't1', generations: 1, credits: 1500, usd: 1.2 });
+
+  // Other owners' spend is left out of the totals but not the shared month-to-date
+  const own = spendSummary({ ownerId: 'u2' });
+  assert.equal(own.totalUsd, 0.12);
+  assert.equal(own.monthToDateUsd, 2.52);
+
+  assert.deepEqual(checkBudget(100), { ok: true, budgetUsd: null, spentUsd: 2.52, remainingUsd: null });
+  process.env.BUDGET_MONTHLY_USD = '3';
+  assert.deepEqual(checkBudget(0.48), { ok: true, budgetUsd: 3, spentUsd: 2.52, remainingUsd: 0.48 });
+  assert.equal(checkBudget(1.2).ok, false);
+});
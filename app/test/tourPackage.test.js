@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'package-test-'));
+process.env.TOURS_DATA_DIR = dataDir;
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { writeTourPackage } = require('../lib/tourPackage');
+const { createDerivedUpload } = require('../lib/uploads');
+
+const ana = { id: 'u-ana' };
+const bo = { id: 'u-bo' };
+
+function sink() {
+  const chunks = [];
+  const stream = new Writable({ write(chunk, encoding, callback) { chunks.push(chunk); callback(); } });
+  stream.bytes = () => Buffer.concat(chunks);
+  return stream;
+}
+
+function fakeClient(world) {
+  return { getWorld: async () => world };
+}
+
+test('only assets on World Labs hosts are downloaded', async (t) => {
+  const fetched = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    fetched.push(url);
+    if (url === 'https://cdn.worldlabs.ai/hop') {
+      return new Response(null, { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data' } });
+    }
+    return new Response('splat');
+  });
+  const world = {
+    assets: {
+      splats: { spz_urls: { full_res: 'https://cdn.worldlabs.ai/w1/full.spz' } },
+      thumbnail_url: 'http://127.0.0.1:3000/api/admin',
+      imagery: { pano_url: 'https://attacker.example/pano.jpg' },
+      mesh: { collider_mesh_url: 'https://cdn.worldlabs.ai/hop' },
+    },
+  };
+  const output = sink();
+  const manifest = await writeTourPackage({ id: 't1', worldId: 'w1' }, output, { client: fakeClient(world), inputs: [] });
+
+  assert.deepEqual(fetched, ['https://cdn.worldlabs.ai/w1/full.spz', 'https://cdn.worldlabs.ai/hop']);
+  assert.deepEqual(manifest.assets.map(a => a.file), ['assets/splats/spz_urls/full_res.spz']);
+  assert.deepEqual(manifest.missing.map(a => [a.key, a.error]), [
+    ['thumbnail_url', 'Not a World Labs asset host'],
+    ['imagery/pano_url', 'Not a World Labs asset host'],
+    ['mesh/collider_mesh_url', 'Not a World Labs asset host'],
+  ]);
+  // A zip ends with its end-of-central-directory record
+  assert.equal(output.bytes().readUInt32LE(output.bytes().length - 22), 0x06054b50);
+});
+
+test('the export fails when the world cannot be fetched', async (t) => {
+  const fetchMock = t.mock.method(globalThis, 'fetch', async () => new Response('x'));
+  const client = { getWorld: async () => { throw new Error('API 404: not found'); } };
+  const output = sink();
+  await assert.rejects(writeTourPackage({ id: 't1', worldId: 'w-gone' }, output, { client }), /API 404/);
+  assert.equal(fetchMock.mock.callCount(), 0);
+  assert.equal(output.bytes().length, 0);
+});
+
+test("only the requesting agent's uploads are packaged", async () => {
+  const write = text => file => fs.promises.writeFile(file, text);
+  const own = await createDerivedUpload({ fileName: 'mine.jpg', mimeType: 'image/jpeg', ownerId: ana.id }, write('mine'));
+  const other = await createDerivedUpload({ fileName: 'theirs.jpg', mimeType: 'image/jpeg', ownerId: bo.id }, write('theirs'));
+  const tour = {
+    id: 't2',
+    worldId: 'w2',
+    inputs: [{ name: 'mine.jpg', uploadId: own.id }, { name: 'theirs.jpg', uploadId: other.id }, { text: 'Sunny den' }],
+  };
+
+  const manifest = await writeTourPackage(tour, sink(), { client: fakeClient({ assets: {} }), user: ana });
+  assert.deepEqual(manifest.inputs, [{ name: 'mine.jpg', file: 'inputs/mine.jpg' }, { name: 'prompt.txt', file: 'inputs/prompt.txt' }]);
+  assert.deepEqual(manifest.missing, [{ key: 'inputs/theirs.jpg', url: null, error: 'Original file is no longer available' }]);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WorldLabsError, isRetryable, isViewerUrl, isAssetUrl, createClient, textPrompt } = require('../lib/worldlabs');
+
+function connectionError(code) {
+  return new TypeError('fetch failed', { cause: { code } });
+}
+
+test('isRetryable never repeats a generation the server may have started', () => {
+  assert.equal(isRetryable(new WorldLabsError(500, 'oops')), true);
+  assert.equal(isRetryable(new WorldLabsError(500, 'oops'), { idempotent: false }), false);
+  assert.equal(isRetryable(new WorldLabsError(503, 'busy'), { idempotent: false }), false);
+  assert.equal(isRetryable(connectionError('ECONNRESET'), { idempotent: false }), false);
+  // Rate limits and refused connections mean nothing was processed
+  assert.equal(isRetryable(new WorldLabsError(429, 'slow down'), { idempotent: false }), true);
+  assert.equal(isRetryable(connectionError('ECONNREFUSED'), { idempotent: false }), true);
+  assert.equal(isRetryable(new WorldLabsError(400, 'bad request')), false);
+});
+
+test('generateWorld is retried on 429 but not on 500', async (t) => {
+  const calls = [];
+  let status = 429;
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    calls.push(url);
+    if (calls.length === 1) return new Response('{}', { status, headers: { 'Retry-After': '0' } });
+    return Response.json({ operation_id: 'op-1' });
+  });
+  const client = createClient({ apiKey: 'k', baseUrl: 'https://api.example.com/v1/' });
+  const prompt = { worldPrompt: textPrompt('Loft') };
+
+  assert.deepEqual(await client.generateWorld(prompt), { operation_id: 'op-1' });
+  assert.deepEqual(calls, ['https://api.example.com/v1/worlds:generate', 'https://api.example.com/v1/worlds:generate']);
+
+  calls.length = 0;
+  status = 500;
+  await assert.rejects(client.generateWorld(prompt), (error) => error instanceof WorldLabsError && error.status === 500);
+  assert.equal(calls.length, 1);
+});
+
+test('only https World Labs URLs are viewers or assets', (t) => {
+  assert.equal(isViewerUrl('https://marble.worldlabs.ai/world/w1'), true);
+  assert.equal(isViewerUrl('http://marble.worldlabs.ai/world/w1'), false);
+  assert.equal(isViewerUrl('https://worldlabs.ai.evil.example/'), false);
+  assert.equal(isViewerUrl('javascript:alert(1)'), false);
+
+  assert.equal(isAssetUrl('https://cdn.worldlabs.ai/w1/full.spz'), true);
+  assert.equal(isAssetUrl('https://cdn.example.net/w1/full.spz'), false);
+  assert.equal(isAssetUrl('https://169.254.169.254/latest/meta-data'), false);
+  t.after(() => { delete process.env.WORLDLABS_ASSET_HOSTS; });
+  process.env.WORLDLABS_ASSET_HOSTS = 'example.net, other.example';
+  assert.equal(isAssetUrl('https://cdn.example.net/w1/full.spz'), true);
+  assert.equal(isAssetUrl('http://cdn.example.net/w1/full.spz'), false);
+});
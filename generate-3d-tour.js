@@ -9,14 +9,62 @@
  * Usage:
  *   node generate-3d-tour.js --images ./photos/*.jpg --name "123 Main St"
  *   node generate-3d-tour.js --image ./photo.jpg --name "Living Room"
+ *   node generate-3d-tour.js --images ./door.jpg@0 ./corner.jpg@135 --name "Corner Office"
  *   node generate-3d-tour.js --video ./walkthrough.mp4 --name "Full Tour"
+ *   node generate-3d-tour.js --panorama ./pano.jpg --name "Great Room"
  *   node generate-3d-tour.js --text "Modern open-plan kitchen with marble countertops" --name "Kitchen Concept"
+ *   node generate-3d-tour.js --template empty-unit-hardwood --name "Unit 4B Concept"
+ *   node generate-3d-tour.js --manifest ./property.yaml
+ *   node generate-3d-tour.js --image ./photo.jpg --name "Living Room" --download ./archive
  */
 
-const https = require('https');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
+// Share the web app's data directory (must be set before the store loads)
+process.env.TOURS_DATA_DIR = process.env.TOURS_DATA_DIR || path.join(__dirname, 'app', 'data');
+
+const {
+  MODELS,
+  MAX_TEXT_PROMPT_LENGTH,
+  createClient,
+  isRetryable,
+  mediaAssetContent,
+  uriContent,
+  textPrompt,
+  imagePrompt,
+  multiImagePrompt,
+  videoPrompt,
+  panoramaPrompt,
+  worldIdFromOperation,
+  viewUrlForWorld,
+} = require('./app/lib/worldlabs');
+const { createTour, listTours } = require('./app/lib/tours');
+const { createProperty, addRoom } = require('./app/lib/properties');
+const { loadManifest } = require('./app/lib/manifest');
+const { estimateCost, formatUsd } = require('./app/lib/pricing');
+const { recordSpend, attachSpendToTour, checkBudget } = require('./app/lib/ledger');
+const { findUserByEmail } = require('./app/lib/auth');
+const { findTemplate } = require('./app/lib/templates');
+const { prepareImage, jpegFileName, dedupe } = require('./app/lib/images');
+const { normalizePanorama } = require('./app/lib/panorama');
+const { MAX_IMAGES, LAYOUT_NAMES, parseImageArgs } = require('./app/lib/layout');
+const { checkImages, hasBlockingIssues } = require('./app/lib/quality');
+const { packageFileName, writeTourPackage } = require('./app/lib/tourPackage');
+const { DATA_DIR, createCollection } = require('./app/lib/store');
+
+// CLI modes mapped to the web app's input types
+const INPUT_TYPES = { text: 'text', image: 'images', multi: 'images', video: 'video', panorama: 'panorama' };
+
+// Every submitted operation is journaled so a timed-out or interrupted run
+// can be picked up again with --resume / --resume-all
+const journal = createCollection('cli-journal');
+
+const DEFAULT_TIMEOUT_MINUTES = 5;
+
+class TimeoutError extends Error {}
+
 // Load credentials
 const CREDS_PATH = path.join(__dirname, '..', 'credentials', 'worldlabs-credentials.json');
 
@@ -31,236 +79,488 @@ function loadApiKey() {
   return creds.api_key;
 }
 
-function apiRequest(method, endpoint, body, apiKey) {
-  return new Promise((resolve, reject) => {
-    const data = body ? JSON.stringify(body) : null;
-    const options = {
-      hostname: 'api.worldlabs.ai',
-      path: `/v0${endpoint}`,
-      method,
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-        ...(data ? { 'Content-Length': Buffer.byteLength(data) } : {})
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let body = '';
-      res.on('data', d => body += d);
-      res.on('end', () => {
-        try {
-          resolve({ status: res.statusCode, data: JSON.parse(body) });
-        } catch {
-          resolve({ status: res.statusCode, data: body });
-        }
-      });
-    });
-    req.on('error', reject);
-    if (data) req.write(data);
-    req.end();
+// Local paths are uploaded as media assets; URLs are passed through.
+async function resolveContent(pathOrUrl, client) {
+  if (pathOrUrl.startsWith('http')) {
+    return uriContent(pathOrUrl);
+  }
+  // File-backed blob: streamed from disk rather than read into memory
+  const mediaAssetId = await client.uploadMedia({
+    data: await fs.openAsBlob(pathOrUrl),
+    fileName: path.basename(pathOrUrl),
   });
+  return mediaAssetContent(mediaAssetId);
 }
 
-function uploadFileRequest(filePath, apiKey) {
-  return new Promise((resolve, reject) => {
-    const fileBuffer = fs.readFileSync(filePath);
-    const fileName = path.basename(filePath);
-    const boundary = '----FormBoundary' + Math.random().toString(36).substr(2);
-    
-    const ext = path.extname(filePath).toLowerCase();
-    const mimeTypes = {
-      '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png',
-      '.webp': 'image/webp', '.mp4': 'video/mp4', '.mov': 'video/quicktime',
-      '.mkv': 'video/x-matroska'
-    };
-    const mimeType = mimeTypes[ext] || 'application/octet-stream';
-
-    let body = Buffer.concat([
-      Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${fileName}"\r\nContent-Type: ${mimeType}\r\n\r\n`),
-      fileBuffer,
-      Buffer.from(`\r\n--${boundary}--\r\n`)
-    ]);
-
-    const options = {
-      hostname: 'api.worldlabs.ai',
-      path: '/v0/media',
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': `multipart/form-data; boundary=${boundary}`,
-        'Content-Length': body.length
-      }
-    };
-
-    const req = https.request(options, (res) => {
-      let data = '';
-      res.on('data', d => data += d);
-      res.on('end', () => {
-        try {
-          resolve({ status: res.statusCode, data: JSON.parse(data) });
-        } catch {
-          resolve({ status: res.statusCode, data });
-        }
-      });
-    });
-    req.on('error', reject);
-    req.write(body);
-    req.end();
+// Local photos go through the web app's image pipeline before upload
+async function prepareLocalImage(imagePath, model) {
+  return { path: imagePath, ...await prepareImage(imagePath, { model }) };
+}
+
+async function uploadPreparedImage(image, client) {
+  if (!image.data) return uriContent(image.path);
+  const mediaAssetId = await client.uploadMedia({
+    data: image.data,
+    fileName: jpegFileName(path.basename(image.path)),
+    mimeType: image.mimeType,
   });
+  return mediaAssetContent(mediaAssetId);
+}
+
+// Print pre-flight problems; blocking ones stop the run unless --force
+async function checkLocalImages(images, { layoutMode, force }) {
+  const local = images.filter(image => image.data);
+  const issues = await checkImages(local.map(image => ({ name: path.basename(image.path), data: image.data })), { layoutMode });
+  for (const issue of issues) {
+    console.warn(`${issue.severity === 'error' ? '⛔' : '⚠️ '} ${issue.message}`);
+  }
+  if (hasBlockingIssues(issues) && !force) {
+    throw new Error('Photos failed quality checks (use --force to generate anyway)');
+  }
+}
+
+function printProgress(progress) {
+  process.stdout.write(`\r⏳ Generating 3D world... ${progress}%`);
 }
 
-async function pollOperation(operationId, apiKey, maxWaitMs = 300000) {
+async function pollOperation(operationId, client, { maxWaitMs = DEFAULT_TIMEOUT_MINUTES * 60000, onProgress = printProgress } = {}) {
   const startTime = Date.now();
   const pollInterval = 5000; // 5 seconds
 
   while (Date.now() - startTime < maxWaitMs) {
-    const result = await apiRequest('GET', `/operations/${operationId}`, null, apiKey);
-    
-    if (result.data.done) {
-      if (result.data.error) {
-        throw new Error(`Generation failed: ${JSON.stringify(result.data.error)}`);
+    let operation;
+    try {
+      operation = await client.getOperation(operationId);
+    } catch (error) {
+      // The client already backed off; keep polling through transient outages
+      if (!isRetryable(error)) throw error;
+      console.error(`\n⚠️  Status check failed, will keep polling: ${error.message}`);
+      await new Promise(r => setTimeout(r, pollInterval));
+      continue;
+    }
+
+    if (operation.done) {
+      if (operation.error) {
+        throw new Error(`Generation failed: ${JSON.stringify(operation.error)}`);
       }
-      return result.data;
+      return operation;
     }
 
-    const progress = result.data.metadata?.progress_pct || 0;
-    process.stdout.write(`\r⏳ Generating 3D world... ${progress}%`);
+    onProgress(operation.metadata?.progress_pct || 0);
     
     await new Promise(r => setTimeout(r, pollInterval));
   }
-  throw new Error('Generation timed out after 5 minutes');
+  throw new TimeoutError(
+    `Generation timed out after ${maxWaitMs / 60000} minutes. ` +
+    `Resume with: node generate-3d-tour.js --resume ${operationId}`
+  );
 }
 
-async function generateFromText(text, name, model, apiKey) {
+async function generateFromText(text, name, model, client) {
   console.log(`🏗️  Generating 3D world from text: "${text}"`);
-  
-  const body = {
-    world_prompt: { text_prompt: text },
-    display_name: name || text.substring(0, 50),
-    model: model
-  };
 
-  const result = await apiRequest('POST', '/worlds/generate', body, apiKey);
-  if (result.status !== 200 && result.status !== 201) {
-    throw new Error(`API error ${result.status}: ${JSON.stringify(result.data)}`);
-  }
-  return result.data;
+  return client.generateWorld({
+    worldPrompt: textPrompt(text),
+    displayName: name || text.substring(0, 50),
+    model,
+  });
 }
 
-async function generateFromImage(imagePathOrUrl, name, model, apiKey) {
-  let imageRef;
-
+async function generateFromImage(imagePathOrUrl, name, model, client, { force } = {}) {
+  let content;
   if (imagePathOrUrl.startsWith('http')) {
-    imageRef = { url: imagePathOrUrl };
+    content = uriContent(imagePathOrUrl);
   } else {
+    const image = await prepareLocalImage(imagePathOrUrl, model);
+    await checkLocalImages([image], { force });
     console.log(`📤 Uploading ${path.basename(imagePathOrUrl)}...`);
-    const upload = await uploadFileRequest(imagePathOrUrl, apiKey);
-    if (upload.status !== 200 && upload.status !== 201) {
-      throw new Error(`Upload failed: ${JSON.stringify(upload.data)}`);
-    }
-    imageRef = { media_id: upload.data.id || upload.data.media_id };
+    content = await uploadPreparedImage(image, client);
   }
 
   console.log(`🏗️  Generating 3D world from image...`);
-  
-  const body = {
-    world_prompt: { image_prompt: imageRef },
-    display_name: name || 'Property Tour',
-    model: model
-  };
 
-  const result = await apiRequest('POST', '/worlds/generate', body, apiKey);
-  if (result.status !== 200 && result.status !== 201) {
-    throw new Error(`API error ${result.status}: ${JSON.stringify(result.data)}`);
-  }
-  return result.data;
+  return client.generateWorld({
+    worldPrompt: imagePrompt(content),
+    displayName: name || 'Property Tour',
+    model,
+  });
 }
 
-async function generateFromMultiImage(imagePaths, name, model, apiKey) {
-  const images = [];
-  const angleStep = 360 / imagePaths.length;
-
-  for (let i = 0; i < imagePaths.length; i++) {
-    const imgPath = imagePaths[i];
-    let imageRef;
-
-    if (imgPath.startsWith('http')) {
-      imageRef = { url: imgPath };
-    } else {
-      console.log(`📤 Uploading ${path.basename(imgPath)} (${i + 1}/${imagePaths.length})...`);
-      const upload = await uploadFileRequest(imgPath, apiKey);
-      if (upload.status !== 200 && upload.status !== 201) {
-        throw new Error(`Upload failed for ${imgPath}: ${JSON.stringify(upload.data)}`);
-      }
-      imageRef = { media_id: upload.data.id || upload.data.media_id };
+// Laid out like /api/generate does it: Auto Layout lets World Labs position
+// the photos, Direction Control places each at its azimuth (photo.jpg@135)
+async function generateFromMultiImage(imagePaths, name, model, client, { force, layoutMode = 'auto', azimuths } = {}) {
+  const prepared = [];
+  for (const [i, imgPath] of imagePaths.entries()) {
+    const image = imgPath.startsWith('http') ? { path: imgPath, hash: imgPath } : await prepareLocalImage(imgPath, model);
+    prepared.push({ ...image, azimuth: azimuths?.[i] });
+  }
+  const { unique, duplicates } = dedupe(prepared, image => image.hash);
+  for (const image of duplicates) {
+    console.warn(`⚠️  Skipping ${path.basename(image.path)}: identical to another photo`);
+  }
+  // Auto layout also checks that the photos overlap enough to be matched
+  await checkLocalImages(unique, { layoutMode, force });
+
+  const items = [];
+  for (const [i, image] of unique.entries()) {
+    if (image.data) {
+      console.log(`📤 Uploading ${path.basename(image.path)} (${i + 1}/${unique.length})...`);
     }
+    const content = await uploadPreparedImage(image, client);
+    items.push(layoutMode === 'direction' ? { content, azimuth: image.azimuth } : { content });
+  }
+
+  // Duplicates can leave a single photo, which is sent as an image prompt
+  const worldPrompt = items.length === 1 ? imagePrompt(items[0].content) : multiImagePrompt(items);
+  console.log(`🏗️  Generating 3D world from ${items.length} images (${LAYOUT_NAMES[layoutMode]})...`);
+
+  return client.generateWorld({
+    worldPrompt,
+    displayName: name || 'Property Tour',
+    model,
+  });
+}
+
+async function generateFromVideo(videoPath, name, model, client) {
+  if (!videoPath.startsWith('http')) {
+    console.log(`📤 Uploading video...`);
+  }
+  const content = await resolveContent(videoPath, client);
+
+  console.log(`🏗️  Generating 3D world from video...`);
+
+  return client.generateWorld({
+    worldPrompt: videoPrompt(content),
+    displayName: name || 'Property Tour',
+    model,
+  });
+}
+
+// Panoramas are checked and normalized to 2:1 equirectangular like in the web
+// app; URLs are downloaded first so they get the same treatment. The
+// normalized image is saved to a temp file to look at before it's generated.
+async function generateFromPanorama(panoramaPathOrUrl, name, model, client, { force } = {}) {
+  let source = panoramaPathOrUrl;
+  if (panoramaPathOrUrl.startsWith('http')) {
+    const response = await fetch(panoramaPathOrUrl);
+    if (!response.ok) throw new Error(`Could not download ${panoramaPathOrUrl}: HTTP ${response.status}`);
+    source = Buffer.from(await response.arrayBuffer());
+  }
+  const panorama = { path: panoramaPathOrUrl, ...await normalizePanorama(source, { model }) };
+  const { report } = panorama;
+  console.log(`🌐 Panorama: ${report.source.width}×${report.source.height} (${report.source.aspect}), ${report.projection}, covers ${report.coverage.horizontal}° × ${report.coverage.vertical}°`);
+  for (const note of report.notes) console.log(`   ${note}`);
+  const previewPath = path.join(os.tmpdir(), jpegFileName(`${path.parse(panoramaPathOrUrl).name}-equirect`));
+  fs.writeFileSync(previewPath, panorama.data);
+  console.log(`🖼️  Normalized preview (${panorama.width}×${panorama.height}): ${previewPath}`);
+  await checkLocalImages([panorama], { force });
+
+  console.log(`📤 Uploading panorama...`);
+  const content = await uploadPreparedImage(panorama, client);
+
+  console.log(`🏗️  Generating 3D world from panorama...`);
+
+  return client.generateWorld({
+    worldPrompt: panoramaPrompt(content),
+    displayName: name || 'Property Tour',
+    model,
+  });
+}
 
-    images.push({
-      ...imageRef,
-      azimuth: Math.round(i * angleStep) // evenly space around 360°
+// spec: { mode, input, inputs, layoutMode, azimuths, name, model, force } — one CLI run or one manifest room
+async function startGeneration(spec, client) {
+  const { mode, input, inputs, name, model } = spec;
+  switch (mode) {
+    case 'text': return generateFromText(input, name, model, client);
+    case 'image': return generateFromImage(input, name, model, client, { force: spec.force });
+    case 'multi': return generateFromMultiImage(inputs, name, model, client, {
+      force: spec.force,
+      layoutMode: spec.layoutMode,
+      azimuths: spec.azimuths,
     });
+    case 'video': return generateFromVideo(input, name, model, client);
+    case 'panorama': return generateFromPanorama(input, name, model, client, { force: spec.force });
+  }
+  throw new Error(`Unknown mode: ${mode}`);
+}
+
+function describeInputs({ mode, input, inputs, azimuths }) {
+  if (!mode) return []; // resumed without a journal entry
+  if (mode === 'text') return [{ text: input }];
+  return (mode === 'multi' ? inputs : [input]).map((p, i) => ({
+    name: p.startsWith('http') ? p : path.basename(p),
+    azimuth: azimuths?.[i],
+  }));
+}
+
+// Fetch the finished world and save it to the shared tour registry
+async function saveCompletedWorld(spec, operationId, completed, client, extra = {}) {
+  const worldId = worldIdFromOperation(completed);
+  let world = null;
+  try {
+    world = await client.getWorld(worldId);
+  } catch (e) {
+    console.error(`⚠️  Failed to fetch world details: ${e.message}`);
+  }
+
+  return createTour({
+    name: spec.name,
+    worldId,
+    viewUrl: viewUrlForWorld(worldId, world),
+    inputType: INPUT_TYPES[spec.mode],
+    model: spec.model,
+    operationId,
+    inputs: describeInputs(spec),
+    world,
+    ...extra,
+  });
+}
+
+// Original inputs for the package: local files are read again, URLs refetched
+function packageInputs({ mode, input, inputs }) {
+  if (!mode) return [];
+  if (mode === 'text') return [{ name: 'prompt.txt', text: input }];
+  return (mode === 'multi' ? inputs : [input]).map(p => (p.startsWith('http')
+    ? { name: path.basename(new URL(p).pathname), url: p }
+    : { name: path.basename(p), path: path.resolve(p) }));
+}
+
+// Zip the world's assets, inputs and metadata into `dir`. A failed download
+// is reported but doesn't fail the run; the tour is already saved.
+async function downloadPackage(tour, spec, client, dir, tag = '') {
+  const file = path.join(dir, packageFileName(tour));
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const manifest = await writeTourPackage(tour, fs.createWriteStream(file), { client, inputs: packageInputs(spec) });
+    for (const missing of manifest.missing) {
+      console.error(`${tag}⚠️  Not in package: ${missing.key} (${missing.error})`);
+    }
+    console.log(`${tag}📦 Package: ${file} (${manifest.assets.length} assets, ${manifest.inputs.length} inputs)`);
+    return file;
+  } catch (error) {
+    console.error(`${tag}⚠️  Package download failed: ${error.message}`);
+    fs.rmSync(file, { force: true });
+    return null;
   }
+}
 
-  console.log(`🏗️  Generating 3D world from ${images.length} images...`);
-  
-  const body = {
-    world_prompt: { multi_image_prompt: { images } },
-    display_name: name || 'Property Tour',
-    model: model
+function estimateSpecs(specs) {
+  const costs = specs.map(spec => estimateCost({ model: spec.model, inputType: INPUT_TYPES[spec.mode] }));
+  return {
+    credits: costs.reduce((total, c) => total + c.credits, 0),
+    usd: Math.round(costs.reduce((total, c) => total + c.usd, 0) * 100) / 100,
   };
+}
 
-  const result = await apiRequest('POST', '/worlds/generate', body, apiKey);
-  if (result.status !== 200 && result.status !== 201) {
-    throw new Error(`API error ${result.status}: ${JSON.stringify(result.data)}`);
+// Refuse to start if the run would exceed --max-cost or the monthly budget
+function enforceBudget(specs, maxCost) {
+  const cost = estimateSpecs(specs);
+  console.log(`💰 Estimated cost: ${formatUsd(cost.usd)} (${cost.credits.toLocaleString()} credits)`);
+  if (maxCost != null && cost.usd > maxCost) {
+    throw new Error(`Estimated cost ${formatUsd(cost.usd)} exceeds --max-cost ${formatUsd(maxCost)}`);
+  }
+  const budget = checkBudget(cost.usd);
+  if (!budget.ok) {
+    throw new Error(`Monthly budget of ${formatUsd(budget.budgetUsd)} would be exceeded (${formatUsd(budget.remainingUsd)} left)`);
   }
-  return result.data;
 }
 
-async function generateFromVideo(videoPath, name, model, apiKey) {
-  let videoRef;
+// extra: { agent, ownerId, propertyId?, roomName? }, kept on the journal entry
+async function submitGeneration(spec, client, extra) {
+  const result = await startGeneration(spec, client);
+  recordSpend({
+    operationId: result.operation_id,
+    agent: extra.agent,
+    ownerId: extra.ownerId,
+    model: spec.model,
+    inputType: INPUT_TYPES[spec.mode],
+    ...estimateCost({ model: spec.model, inputType: INPUT_TYPES[spec.mode] }),
+    source: 'cli',
+    propertyId: extra.propertyId,
+  });
+  return journal.insert({ operationId: result.operation_id, spec, ...extra, status: 'submitted' });
+}
 
-  if (videoPath.startsWith('http')) {
-    videoRef = { url: videoPath };
-  } else {
-    console.log(`📤 Uploading video...`);
-    const upload = await uploadFileRequest(videoPath, apiKey);
-    if (upload.status !== 200 && upload.status !== 201) {
-      throw new Error(`Upload failed: ${JSON.stringify(upload.data)}`);
+// Poll a journaled operation to completion and save its tour. Timeouts leave
+// the entry resumable; failures are recorded.
+async function completeOperation(entry, client, pollOptions) {
+  try {
+    const completed = await pollOperation(entry.operationId, client, pollOptions);
+    if (!completed.response) {
+      throw new Error(`Operation finished without a world: ${JSON.stringify(completed)}`);
+    }
+    const tour = await saveCompletedWorld(entry.spec, entry.operationId, completed, client, {
+      propertyId: entry.propertyId,
+      ownerId: entry.ownerId,
+    });
+    attachSpendToTour(entry.operationId, tour.id);
+    journal.update(entry.id, { status: 'completed', tourId: tour.id });
+    return tour;
+  } catch (error) {
+    if (!(error instanceof TimeoutError)) {
+      journal.update(entry.id, { status: 'failed', error: error.message });
     }
-    videoRef = { media_id: upload.data.id || upload.data.media_id };
+    throw error;
   }
+}
 
-  console.log(`🏗️  Generating 3D world from video...`);
-  
-  const body = {
-    world_prompt: { video_prompt: videoRef },
-    display_name: name || 'Property Tour',
-    model: model
+function taggedProgress(tag) {
+  let lastProgress = null;
+  return (progress) => {
+    if (progress !== lastProgress) console.log(`${tag} ⏳ ${progress}%`);
+    lastProgress = progress;
   };
+}
+
+// Run fn over items with at most `limit` in flight; results keep input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function runNext() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+}
+
+async function runManifest(manifestPath, client, { output, concurrency, maxWaitMs, maxCost, owner, force, download } = {}) {
+  const manifest = loadManifest(manifestPath);
+  const limit = concurrency || manifest.concurrency;
+  enforceBudget(manifest.rooms, maxCost);
+  const property = manifest.property ? createProperty({ address: manifest.property, ownerId: owner.ownerId }) : null;
+
+  console.log(`🏘️  ${manifest.property || 'Batch'}: ${manifest.rooms.length} rooms, ${limit} at a time`);
+
+  const results = await mapWithConcurrency(manifest.rooms, limit, async (room) => {
+    const tag = `[${room.name}]`;
+    // Match the web app's "<address> — <room>" naming for property rooms
+    const spec = { ...room, name: manifest.property ? `${manifest.property} — ${room.name}` : room.name, force };
+    let entry = null;
+    try {
+      entry = await submitGeneration(spec, client, { ...owner, propertyId: property?.id, roomName: room.name });
+      console.log(`${tag} 📋 Operation ID: ${entry.operationId}`);
+
+      const tour = await completeOperation(entry, client, {
+        maxWaitMs,
+        onProgress: taggedProgress(tag),
+      });
+      console.log(`${tag} ✅ ${tour.viewUrl}`);
+      const packagePath = download ? await downloadPackage(tour, spec, client, download, `${tag} `) : undefined;
+      return { name: room.name, status: 'succeeded', operationId: entry.operationId, worldId: tour.worldId, viewUrl: tour.viewUrl, tourId: tour.id, packagePath };
+    } catch (error) {
+      console.error(`${tag} ❌ ${error.message}`);
+      const status = error instanceof TimeoutError ? 'timed_out' : 'failed';
+      return { name: room.name, status, operationId: entry?.operationId, error: error.message };
+    }
+  });
+
+  // Add rooms in manifest order, not completion order
+  if (property) {
+    for (const r of results) {
+      if (r.tourId) addRoom(property.id, { name: r.name, tourId: r.tourId });
+    }
+  }
 
-  const result = await apiRequest('POST', '/worlds/generate', body, apiKey);
-  if (result.status !== 200 && result.status !== 201) {
-    throw new Error(`API error ${result.status}: ${JSON.stringify(result.data)}`);
+  const outputPath = output || manifestPath.replace(/\.(json|ya?ml)$/i, '') + '.result.json';
+  fs.writeFileSync(outputPath, JSON.stringify({
+    property: manifest.property,
+    propertyId: property?.id || null,
+    createdAt: new Date().toISOString(),
+    rooms: results,
+  }, null, 2));
+
+  const failed = results.filter(r => r.status !== 'succeeded').length;
+  console.log('━'.repeat(50));
+  console.log(`✅ ${results.length - failed} succeeded, ${failed} failed or timed out`);
+  console.log(`💾 Results written to ${outputPath}`);
+  if (failed > 0) process.exit(1);
+}
+
+// Reattach to operations from the journal (or unknown ones by ID), then
+// fetch the world and save the tour as a normal run would
+async function resumeOperations(operationIds, client, { maxWaitMs, name, owner, download } = {}) {
+  const entries = operationIds
+    ? operationIds.map(id => journal.list(e => e.operationId === id)[0]
+      || journal.insert({ operationId: id, spec: { mode: null, name, model: null }, ...owner, status: 'submitted' }))
+    : journal.list(e => e.status === 'submitted');
+
+  if (entries.length === 0) {
+    console.log('Nothing to resume.');
+    return;
   }
-  return result.data;
+  console.log(`🔁 Resuming ${entries.length} operation${entries.length === 1 ? '' : 's'}`);
+
+  const results = await mapWithConcurrency(entries, 4, async (entry) => {
+    const tag = `[${entry.spec.name || entry.operationId}]`;
+    const existing = listTours(t => t.operationId === entry.operationId)[0];
+    if (existing) {
+      journal.update(entry.id, { status: 'completed', tourId: existing.id });
+      console.log(`${tag} ✅ Already saved: ${existing.viewUrl}`);
+      return true;
+    }
+    try {
+      const tour = await completeOperation(entry, client, {
+        maxWaitMs,
+        onProgress: taggedProgress(tag),
+      });
+      if (entry.propertyId) {
+        addRoom(entry.propertyId, { name: entry.roomName || entry.spec.name, tourId: tour.id });
+      }
+      console.log(`${tag} ✅ ${tour.viewUrl}`);
+      console.log(`${tag} 💾 Saved tour ${tour.id} to ${DATA_DIR}`);
+      if (download) await downloadPackage(tour, entry.spec, client, download, `${tag} `);
+      return true;
+    } catch (error) {
+      console.error(`${tag} ❌ ${error.message}`);
+      return false;
+    }
+  });
+
+  if (results.includes(false)) process.exit(1);
 }
 
 async function main() {
   const args = process.argv.slice(2);
-  const apiKey = loadApiKey();
+  const client = createClient({
+    apiKey: loadApiKey(),
+    onRetry: ({ error, attempt, delayMs, path }) => {
+      console.error(`\n⚠️  ${path} failed (${error.message}); retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s`);
+    },
+  });
 
   // Parse arguments
   let mode = null;
   let input = null;
   let inputs = [];
+  let layoutMode = null;
+  let azimuths = null;
   let name = 'Property Tour';
-  let model = 'Marble 0.1-plus'; // Standard quality
-  let draft = false;
+  let model = MODELS.standard;
+  let manifest = null;
+  let output = null;
+  let concurrency = null;
+  let resume = null;
+  let timeoutMinutes = DEFAULT_TIMEOUT_MINUTES;
+  let maxCost = null;
+  let force = false;
+  let template = null;
+  let download = null;
+  let agent = process.env.TOURS_AGENT || os.userInfo().username;
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
-      case '--text': mode = 'text'; input = args[++i]; break;
+      case '--text':
+        mode = 'text';
+        input = args[++i];
+        if (!input?.trim() || input.startsWith('--')) {
+          console.error('❌ --text needs a description, e.g. --text "Sunlit loft with exposed brick"');
+          process.exit(1);
+        }
+        break;
+      case '--template': mode = 'text'; template = args[++i]; break;
       case '--image': mode = 'image'; input = args[++i]; break;
       case '--images': mode = 'multi'; 
         // Collect all following args until next flag
@@ -269,86 +569,145 @@ async function main() {
         }
         break;
       case '--video': mode = 'video'; input = args[++i]; break;
+      case '--panorama': mode = 'panorama'; input = args[++i]; break;
+      case '--manifest': mode = 'manifest'; manifest = args[++i]; break;
+      case '--output': output = args[++i]; break;
+      case '--concurrency': concurrency = args[++i] ?? ''; break;
+      case '--resume': mode = 'resume'; resume = [args[++i]]; break;
+      case '--resume-all': mode = 'resume'; resume = null; break;
+      case '--timeout': timeoutMinutes = parseFloat(args[++i]); break;
+      case '--max-cost': maxCost = parseFloat(args[++i]); break;
+      case '--agent': agent = args[++i]; break;
+      case '--layout': layoutMode = args[++i]; break;
       case '--name': name = args[++i]; break;
-      case '--draft': draft = true; model = 'Marble 0.1-mini'; break;
+      case '--draft': model = MODELS.draft; break;
+      case '--force': force = true; break;
+      case '--download':
+        // Optional directory; defaults to the current one
+        download = args[i + 1] && !args[i + 1].startsWith('--') ? args[++i] : '.';
+        break;
       case '--help':
         console.log(`
 3D Property Tour Generator
 
 Usage:
   node generate-3d-tour.js --text "description" --name "Property Name"
+  node generate-3d-tour.js --template <id or name> --name "Property Name"
   node generate-3d-tour.js --image ./photo.jpg --name "123 Main St"
   node generate-3d-tour.js --images ./photo1.jpg ./photo2.jpg --name "Living Room"
+  node generate-3d-tour.js --images ./door.jpg@0 ./corner.jpg@135 --name "Corner Office"
   node generate-3d-tour.js --video ./walkthrough.mp4 --name "Full Tour"
+  node generate-3d-tour.js --panorama ./pano.jpg --name "Great Room"
+  node generate-3d-tour.js --manifest ./property.yaml
+  node generate-3d-tour.js --resume <operationId>
+  node generate-3d-tour.js --resume-all
 
 Options:
-  --text    Generate from text description
-  --image   Generate from single image (path or URL)
-  --images  Generate from multiple images (paths or URLs)
-  --video   Generate from video (path or URL)
-  --name    Display name for the 3D world
-  --draft   Use faster/cheaper draft mode ($0.12 vs $1.20)
-  --help    Show this help
+  --text         Generate from text description
+  --template     Generate from a saved or built-in prompt template (--text overrides its text)
+  --image        Generate from single image (path or URL)
+  --images       Generate from multiple images (paths or URLs); add @degrees to place
+                 each photo (door.jpg@0 corner.jpg@135)
+  --layout       How --images are placed: auto (up to ${MAX_IMAGES.auto}, World Labs positions them)
+                 or direction (up to ${MAX_IMAGES.direction}, every photo needs @degrees).
+                 Default: direction when angles are given, otherwise auto
+  --video        Generate from video (path or URL)
+  --panorama     Generate from a 360° or phone pano-mode panorama (path or URL);
+                 partial strips are converted to 2:1 equirectangular first
+  --manifest     Generate every room listed in a JSON/YAML property manifest
+  --output       Where to write the manifest result file (default: <manifest>.result.json)
+  --concurrency  Rooms generated at once (overrides the manifest)
+  --resume       Reattach to a submitted operation and save its tour when done
+  --resume-all   Resume every unfinished operation in the local journal
+  --timeout      Minutes to wait for a generation (default: ${DEFAULT_TIMEOUT_MINUTES})
+  --name         Display name for the 3D world
+  --draft        Use faster/cheaper draft mode (${formatUsd(estimateCost({ model: MODELS.draft }).usd)} vs ${formatUsd(estimateCost({ model: MODELS.standard }).usd)})
+  --max-cost     Refuse to start if the estimated cost in USD is higher
+  --agent        Agent login email; owns the tours and spend (default: $TOURS_AGENT or your username)
+  --force        Generate even when photos fail the blur/exposure checks
+  --download     Save a zip of the world's assets, inputs and metadata to [dir] (default: current directory)
+  --help         Show this help
         `);
         process.exit(0);
     }
   }
 
   if (!mode) {
-    console.error('❌ Specify input: --text, --image, --images, or --video');
+    console.error('❌ Specify input: --text, --template, --image, --images, --video, --panorama, --manifest, or --resume');
     console.error('Run with --help for usage info');
     process.exit(1);
   }
 
-  try {
-    let result;
+  if (!(timeoutMinutes > 0)) {
+    console.error('❌ --timeout must be a positive number of minutes');
+    process.exit(1);
+  }
+  const maxWaitMs = timeoutMinutes * 60000;
+  if (concurrency !== null) {
+    if (!/^[1-9]\d*$/.test(concurrency)) {
+      console.error('❌ --concurrency must be a positive whole number of rooms, e.g. --concurrency 2');
+      process.exit(1);
+    }
+    concurrency = Number(concurrency);
+  }
 
-    switch (mode) {
-      case 'text':
-        result = await generateFromText(input, name, model, apiKey);
-        break;
-      case 'image':
-        result = await generateFromImage(input, name, model, apiKey);
-        break;
-      case 'multi':
-        result = await generateFromMultiImage(inputs, name, model, apiKey);
-        break;
-      case 'video':
-        result = await generateFromVideo(input, name, model, apiKey);
-        break;
+  // Tours show up in the web gallery of the app account matching --agent
+  const account = findUserByEmail(agent);
+  const owner = { agent, ownerId: account?.id };
+  if (!account && mode !== 'resume') {
+    console.error(`⚠️  No app account for agent "${agent}"; tours won't appear in any gallery (use --agent <email>)`);
+  }
+  if (template) {
+    const found = findTemplate(template, account?.id);
+    if (!found) {
+      console.error(`❌ No prompt template "${template}" (see the Text tab in the web app for the list)`);
+      process.exit(1);
+    }
+    input = input || found.text;
+  }
+  if (mode === 'text' && input.length > MAX_TEXT_PROMPT_LENGTH) {
+    console.error(`❌ Text prompts are limited to ${MAX_TEXT_PROMPT_LENGTH} characters`);
+    process.exit(1);
+  }
+  if (mode === 'multi') {
+    const parsed = parseImageArgs(inputs, layoutMode);
+    if (parsed.error) {
+      console.error(`❌ ${parsed.error}`);
+      process.exit(1);
+    }
+    ({ paths: inputs, layoutMode, azimuths } = parsed);
+  }
+  if (maxCost !== null && !(maxCost >= 0)) {
+    console.error('❌ --max-cost must be a dollar amount');
+    process.exit(1);
+  }
+
+  try {
+    if (mode === 'manifest') {
+      await runManifest(manifest, client, { output, concurrency, maxWaitMs, maxCost, owner, force, download });
+      return;
     }
+    if (mode === 'resume') {
+      await resumeOperations(resume, client, { maxWaitMs, name, owner, download });
+      return;
+    }
+
+    const spec = { mode, input, inputs, layoutMode, azimuths, name, model, force };
+    enforceBudget([spec], maxCost);
+    const entry = await submitGeneration(spec, client, owner);
 
     // Poll for completion
-    const operationId = result.operation_id;
-    console.log(`\n📋 Operation ID: ${operationId}`);
+    console.log(`\n📋 Operation ID: ${entry.operationId}`);
     
-    const completed = await pollOperation(operationId, apiKey);
+    const tour = await completeOperation(entry, client, { maxWaitMs });
     
     console.log('\n\n✅ 3D World Generated!');
     console.log('━'.repeat(50));
-    
-    if (completed.response) {
-      const worldId = completed.response.world_id || completed.response.id;
-      console.log(`🌍 World ID: ${worldId}`);
-      console.log(`🔗 View: https://platform.worldlabs.ai/worlds/${worldId}`);
-      console.log(`📤 Share this link with your client!`);
-      
-      // Save result
-      const outputPath = path.join(__dirname, 'tours', `${name.replace(/[^a-z0-9]/gi, '-')}.json`);
-      fs.mkdirSync(path.join(__dirname, 'tours'), { recursive: true });
-      fs.writeFileSync(outputPath, JSON.stringify({
-        name,
-        worldId,
-        viewUrl: `https://platform.worldlabs.ai/worlds/${worldId}`,
-        mode: draft ? 'draft' : 'standard',
-        createdAt: new Date().toISOString(),
-        operationId,
-        response: completed.response
-      }, null, 2));
-      console.log(`💾 Saved to: ${outputPath}`);
-    } else {
-      console.log('Response:', JSON.stringify(completed, null, 2));
-    }
+    console.log(`🌍 World ID: ${tour.worldId}`);
+    console.log(`🔗 View: ${tour.viewUrl}`);
+    console.log(`📤 Share this link with your client!`);
+    console.log(`💾 Saved tour ${tour.id} to ${DATA_DIR}`);
+    if (download) await downloadPackage(tour, spec, client, download);
 
   } catch (error) {
     console.error(`\n❌ Error: ${error.message}`);